@@ -1,5 +1,5 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { GoogleMap, useLoadScript, Marker } from '@react-google-maps/api';
+import { GoogleMap, useLoadScript, Marker, Polyline, Autocomplete, InfoWindow } from '@react-google-maps/api';
 import { 
   HiMapPin, 
   HiCheckCircle, 
@@ -9,14 +9,72 @@ import {
   HiCog8Tooth,
   HiClock,
   HiArrowRightCircle,
-  HiPaperAirplane
+  HiPaperAirplane,
+  HiShieldCheck,
+  HiExclamationTriangle,
+  HiBookmark,
+  HiBookmarkSquare,
+  HiLink,
+  HiChatBubbleLeftRight,
+  HiArrowDownTray,
+  HiBanknotes,
+  HiSquare2Stack,
+  HiArrowsUpDown,
+  HiBars3,
+  HiPencilSquare,
+  HiTrash,
+  HiPlus,
+  HiArrowUturnLeft,
+  HiArrowUturnRight,
+  HiSun,
+  HiCloud,
+  HiHome,
+  HiCalendarDays
 } from 'react-icons/hi2';
+import SavedPlansDrawer from './components/SavedPlansDrawer';
+import { fetchJson, streamEvents, downloadFile, errorMessage, planPath, planIdFromPath } from './api';
+import usePlanHistory from './usePlanHistory';
 
 // --- Configuration ---
 const DATE_VIBES = ["Romantic", "Adventurous", "Casual", "Foodie", "Artsy"];
 const TRANSPORT_MODES = ["Driving", "Walking", "Transit"];
+const EXPORT_FORMATS = [
+  { format: 'ics', label: 'Calendar' },
+  { format: 'gpx', label: 'GPX' },
+  { format: 'kml', label: 'KML' },
+];
+const CURRENCIES = ["INR", "USD", "EUR", "GBP"];
+const PRICE_LEVELS = [
+  { value: '', label: 'Any' },
+  { value: 1, label: '$' },
+  { value: 2, label: '$$' },
+  { value: 3, label: '$$$' },
+  { value: 4, label: '$$$$' },
+];
+const PREFERENCE_OPTIONS = [
+  { id: 'adultsOnly', label: '18+ places' },
+  { id: 'wheelchair', label: 'Wheelchair access' },
+  { id: 'vegetarian', label: 'Vegetarian', dietary: true },
+  { id: 'vegan', label: 'Vegan', dietary: true },
+  { id: 'halal', label: 'Halal', dietary: true },
+  { id: 'petFriendly', label: 'Pet-friendly' },
+];
+// Labels for the keys the backend uses in `matchedPreferences`
+const PREFERENCE_LABELS = {
+  wheelchair: 'Wheelchair access',
+  vegetarian: 'Vegetarian',
+  vegan: 'Vegan',
+  halal: 'Halal',
+  'pet-friendly': 'Pet-friendly',
+  group: 'Fits the group',
+};
+const VARIANT_COUNTS = [1, 2, 3, 4];
+const VARIANT_COLORS = ['#f472b6', '#60a5fa', '#34d399', '#fbbf24'];
+const DAY_COLORS = ['#f472b6', '#60a5fa', '#34d399', '#fbbf24', '#a78bfa', '#fb923c', '#2dd4bf'];
+const MAX_TRIP_DAYS = 7;
+const PLACE_FIELDS = ['name', 'formatted_address', 'geometry', 'types'];
 const mapContainerStyle = { width: '100%', height: '100%' };
-const libraries = ['places'];
+const libraries = ['places', 'geometry'];
 
 // --- Helper Functions ---
 const getIconForStop = (type) => {
@@ -32,9 +90,61 @@ const getIconForStop = (type) => {
   }
 };
 
+const ROUTE_COLORS = { Walking: '#34d399', Driving: '#f472b6', Transit: '#60a5fa' };
+
+// Maps Google place types onto our stop types.
+const getStopTypeForPlace = (types = []) => {
+  if (types.some(t => ['bar', 'night_club', 'liquor_store'].includes(t))) return 'Bar';
+  if (types.some(t => ['cafe', 'bakery'].includes(t))) return 'Cafe';
+  if (types.some(t => ['restaurant', 'meal_takeaway', 'food'].includes(t))) return 'Food';
+  if (types.some(t => ['park', 'natural_feature', 'campground'].includes(t))) return 'Park';
+  if (types.some(t => ['store', 'shopping_mall', 'clothing_store', 'book_store'].includes(t))) return 'Shop';
+  return 'Activity';
+};
+
+const stopKey = (stop) => `${stop.name}@${stop.lat},${stop.lng}`;
+
+const getRoutePath = (leg) => window.google.maps.geometry.encoding.decodePath(leg.polyline);
+
+const formatDistance = (meters) => meters < 1000 ? `${meters} m` : `${(meters / 1000).toFixed(1)} km`;
+
+const formatMinutes = (minutes) => minutes < 60 ? `${minutes} min` : `${Math.floor(minutes / 60)} h${minutes % 60 ? ` ${minutes % 60} min` : ''}`;
+
+// Round marker in a variant's color, for overlaying several plans on the map.
+const getVariantIcon = (color) => ({
+  path: window.google.maps.SymbolPath.CIRCLE,
+  scale: 11,
+  fillColor: color,
+  fillOpacity: 1,
+  strokeColor: '#ffffff',
+  strokeWeight: 2,
+});
+
+// Today (or `days` from today) as "YYYY-MM-DD" in the user's own timezone, for the date inputs.
+const todayIso = (days = 0) => {
+  const now = new Date();
+  now.setDate(now.getDate() + days);
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+};
+
+const formatDay = (date) => new Date(`${date}T12:00:00`).toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', month: 'short' });
+
+const formatMoney = (amount, currency) => currency
+  ? new Intl.NumberFormat(undefined, { style: 'currency', currency, maximumFractionDigits: 0 }).format(amount)
+  : new Intl.NumberFormat(undefined, { maximumFractionDigits: 0 }).format(amount);
+
+// One-line summary of a /api/plans/refine diff, for the follow-up chat.
+const describeDiff = ({ added, removed, changed }) => {
+  const parts = [];
+  if (added.length) parts.push(`Added ${added.map(s => s.name).join(', ')}`);
+  if (removed.length) parts.push(`Removed ${removed.map(s => s.name).join(', ')}`);
+  if (changed.length) parts.push(`Updated ${changed.length} stop${changed.length === 1 ? '' : 's'}`);
+  return parts.length ? `${parts.join('. ')}.` : 'No changes.';
+};
+
 function App() {
   // --- State, Refs, Hooks ---
-  const [mode, setMode] = useState('simple'); // 'simple' or 'advanced'
+  const [mode, setMode] = useState('simple'); // 'simple', 'advanced' or 'trip'
   
   // Simple Mode State
   const [prompt, setPrompt] = useState('');
@@ -44,16 +154,61 @@ function App() {
   const [manualLocationName, setManualLocationName] = useState('');
   const [selectedVibe, setSelectedVibe] = useState(null);
   const [transportMode, setTransportMode] = useState(TRANSPORT_MODES[0]);
-  const [isAdult, setIsAdult] = useState(false);
+  const [selectedPreferences, setSelectedPreferences] = useState([]); // ids from PREFERENCE_OPTIONS
+  const [groupSize, setGroupSize] = useState(2);
+  const [startTime, setStartTime] = useState('18:00');
+  const [endTime, setEndTime] = useState('23:00');
+  const [outingDate, setOutingDate] = useState(todayIso);
+  const [currency, setCurrency] = useState(CURRENCIES[0]);
+  const [maxBudget, setMaxBudget] = useState('');
+  const [priceLevel, setPriceLevel] = useState('');
+  const [variantCount, setVariantCount] = useState(1);
+  const [tripDestination, setTripDestination] = useState('');
+  const [tripLodging, setTripLodging] = useState('');
+  const [tripStart, setTripStart] = useState(() => todayIso());
+  const [tripEnd, setTripEnd] = useState(() => todayIso(1));
   
   // Shared State
   const [planTitle, setPlanTitle] = useState('');
   const [datePlan, setDatePlan] = useState(null);
+  const [schedule, setSchedule] = useState(null);
+  const [budget, setBudget] = useState(null);
+  const [conditions, setConditions] = useState(null); // forecast and sunset the plan was made for
+  const [planPreferences, setPlanPreferences] = useState(null); // preferences the plan was made for
+  const [cachedAge, setCachedAge] = useState(null); // seconds since the server first made a plan it reused, or null
+  const [variants, setVariants] = useState(null); // alternative plans to pick from, or null
+  const [activeVariant, setActiveVariant] = useState(0);
+  const [overlayVariants, setOverlayVariants] = useState(false);
+  const [trip, setTrip] = useState(null); // multi-day trip whose days are shown one at a time, or null
+  const [activeDay, setActiveDay] = useState(0);
+  const [planId, setPlanId] = useState(null);
+  const [isDrawerOpen, setIsDrawerOpen] = useState(false);
+  const [linkCopied, setLinkCopied] = useState(false);
+  const [refining, setRefining] = useState(null); // null, 'chat' or the stopNumber being regenerated
+  const [refineInput, setRefineInput] = useState('');
+  const [refineHistory, setRefineHistory] = useState([]);
+  const [optimizing, setOptimizing] = useState(false);
+  const [optimization, setOptimization] = useState(null); // result of the last "Optimize order"
+  const [editingStop, setEditingStop] = useState(null); // index of the stop being edited
+  const [stopDraft, setStopDraft] = useState(null);
+  const [alternatives, setAlternatives] = useState(null); // { key, loading, items, error } for the stop whose info window is open
+  const [dragIndex, setDragIndex] = useState(null);
+  const [dropIndex, setDropIndex] = useState(null);
+  const [pinMode, setPinMode] = useState(false);
+  const [recomputing, setRecomputing] = useState(false);
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
 
   const mapRef = useRef();
   const resultsRef = useRef(null);
+  const autocompleteRef = useRef(null);
+  const recomputeSeq = useRef(0);
+  const planRequest = useRef(null); // AbortController of the plan request in flight
+  const history = usePlanHistory();
+
+  // The plan in visiting order; edits work on this, never on `datePlan` in place
+  const orderedStops = datePlan ? [...datePlan].sort((a, b) => (a.stopNumber || 0) - (b.stopNumber || 0)) : [];
+  const alternativesStop = alternatives && orderedStops.find(stop => stopKey(stop) === alternatives.key);
   const { isLoaded, loadError } = useLoadScript({
     googleMapsApiKey: import.meta.env.VITE_GOOGLE_MAPS_API_KEY,
     libraries,
@@ -61,83 +216,640 @@ function App() {
 
   // --- Effect to zoom map ---
   useEffect(() => {
-    if (mapRef.current && datePlan && datePlan.length > 0) {
+    const visibleStops = overlayVariants && variants ? variants.flatMap(v => v.stops) : datePlan;
+    if (mapRef.current && visibleStops && visibleStops.length > 0) {
       const bounds = new window.google.maps.LatLngBounds();
-      datePlan.forEach(stop => {
+      [...visibleStops, ...(trip && trip.lodging ? [trip.lodging] : [])].forEach(stop => {
         bounds.extend(new window.google.maps.LatLng(parseFloat(stop.lat), parseFloat(stop.lng)));
       });
       mapRef.current.fitBounds(bounds);
     }
-  }, [datePlan]);
+  }, [datePlan, variants, overlayVariants, trip]);
+
+  // --- Effect to open a shared /plan/:id link ---
+  useEffect(() => {
+    const sharedId = planIdFromPath(window.location.pathname);
+    if (!sharedId) return;
+    setLoading(true);
+    fetchJson(`/api/plans/${encodeURIComponent(sharedId)}`)
+      .then(record => {
+        setPlanTitle(record.planTitle);
+        setSchedule(record.schedule || null);
+        setBudget(record.budget || null);
+        setConditions(record.conditions || null);
+        setPlanPreferences(record.preferences || null);
+        setPlanId(record.id);
+        setDatePlan(record.stops);
+      })
+      .catch(err => setError(err.message))
+      .finally(() => setLoading(false));
+  }, []);
+
+  // --- Effect to stop a plan still being generated on unmount ---
+  useEffect(() => () => {
+    if (planRequest.current) planRequest.current.abort();
+  }, []);
 
   // --- Handlers ---
   const onMapLoad = (map) => { mapRef.current = map; };
 
+  const showPlanUrl = (id) => {
+    const path = id ? planPath(id) : '/';
+    if (window.location.pathname !== path) window.history.pushState(null, '', path);
+  };
+
+  const showVariant = (index, list = variants) => {
+    const variant = list[index];
+    history.reset();
+    setActiveVariant(index);
+    setPlanTitle(variant.planTitle);
+    setSchedule(variant.schedule || null);
+    setBudget(variant.budget || null);
+    setConditions(variant.conditions || null);
+    setPlanPreferences(variant.preferences || null);
+    setDatePlan(variant.stops);
+  };
+
+  const handleKeepVariant = () => { setVariants(null); setOverlayVariants(false); };
+
+  // Switches the trip to another day, keeping the edits made to the one on screen
+  const showDay = (index, current = trip) => {
+    const days = current.days.map((day, d) => (d === activeDay && current === trip
+      ? { ...day, planTitle, stops: datePlan, schedule, budget, id: planId }
+      : day));
+    const day = days[index];
+    recomputeSeq.current++; // drop route updates still on their way for the day being left
+    history.reset();
+    setTrip({ ...current, days });
+    setActiveDay(index);
+    setPlanTitle(day.planTitle);
+    setSchedule(day.schedule || null);
+    setBudget(day.budget || null);
+    setConditions(day.conditions || null);
+    setPlanPreferences(day.preferences || null);
+    setPlanId(day.id || null);
+    setRecomputing(false); setOptimization(null); setRefineHistory([]); setAlternatives(null); setEditingStop(null);
+    setDatePlan(day.stops);
+    showPlanUrl(day.id || null);
+  };
+
+  // Stops the plan request in flight, if any; nothing it sends afterwards is shown
+  const cancelPlanRequest = () => {
+    if (!planRequest.current) return;
+    planRequest.current.abort();
+    planRequest.current = null;
+    setLoading(false);
+  };
+
+  const handleModeChange = (next) => {
+    if (next === mode) return;
+    if (planRequest.current) handleClosePlan(); // the half-made plan was for the other mode
+    setMode(next);
+  };
+
+  const handleClosePlan = () => {
+    cancelPlanRequest();
+    setDatePlan(null); setSchedule(null); setBudget(null); setConditions(null); setPlanPreferences(null); setPlanId(null); setRefineHistory([]);
+    setVariants(null); setOverlayVariants(false); setTrip(null); setOptimization(null); setCachedAge(null); setAlternatives(null);
+    setEditingStop(null); setPinMode(false); history.reset();
+    showPlanUrl(null);
+  };
+
+  const handleOpenSavedPlan = async (id) => {
+    cancelPlanRequest();
+    setError('');
+    try {
+      const record = await fetchJson(`/api/plans/${encodeURIComponent(id)}`);
+      setPlanTitle(record.planTitle);
+      setSchedule(record.schedule || null);
+      setBudget(record.budget || null);
+      setConditions(record.conditions || null);
+      setPlanPreferences(record.preferences || null);
+      setPlanId(record.id);
+      setDatePlan(record.stops);
+      setRefineHistory([]);
+      setTrip(null);
+      setOptimization(null);
+      setCachedAge(null);
+      setAlternatives(null);
+      history.reset();
+      setIsDrawerOpen(false);
+      showPlanUrl(record.id);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleSavePlan = async () => {
+    setError('');
+    try {
+      const record = await fetchJson('/api/plans', {
+        method: 'POST',
+        body: JSON.stringify({ planTitle, stops: datePlan, schedule, budget, conditions, preferences: planPreferences }),
+      });
+      handleKeepVariant();
+      setPlanId(record.id);
+      showPlanUrl(record.id);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleRefine = async ({ instruction, stopNumber }) => {
+    setError(''); setRefining(stopNumber ?? 'chat');
+    try {
+      const result = await fetchJson('/api/plans/refine', {
+        method: 'POST',
+        body: JSON.stringify({
+          plan: { planTitle, stops: datePlan, schedule, budget, conditions, preferences: planPreferences },
+          instruction,
+          stopNumber,
+          transportMode: mode !== 'simple' ? transportMode : undefined,
+        }),
+      });
+      history.record(planSnapshot());
+      setPlanTitle(result.planTitle);
+      setSchedule(result.schedule || null);
+      setBudget(result.budget || null);
+      setDatePlan(result.stops);
+      setOptimization(null);
+      handleKeepVariant();
+      // The refined plan is a new, unsaved plan
+      setPlanId(null);
+      showPlanUrl(null);
+      const label = instruction || `Regenerate stop ${stopNumber}`;
+      setRefineHistory(history => [...history, { instruction: label, summary: describeDiff(result.diff) }]);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setRefining(null);
+    }
+  };
+
+  const handleOptimize = async () => {
+    setError(''); setOptimizing(true);
+    try {
+      const result = await fetchJson('/api/plans/optimize', {
+        method: 'POST',
+        body: JSON.stringify({
+          plan: { planTitle, stops: datePlan, schedule, budget, conditions, preferences: planPreferences },
+          transportMode: mode !== 'simple' ? transportMode : undefined,
+        }),
+      });
+      if (result.optimization.orderChanged) history.record(planSnapshot());
+      setSchedule(result.schedule || null);
+      setBudget(result.budget || null);
+      setDatePlan(result.stops);
+      setOptimization(result.optimization);
+      handleKeepVariant();
+      if (result.optimization.orderChanged) {
+        // Like a refinement, the reordered plan is a new, unsaved plan
+        setPlanId(null);
+        showPlanUrl(null);
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setOptimizing(false);
+    }
+  };
+
+  // --- Itinerary editing ---
+  const planSnapshot = () => ({ planTitle, stops: datePlan, schedule, budget });
+
+  const restoreSnapshot = (snapshot) => {
+    setPlanTitle(snapshot.planTitle);
+    setSchedule(snapshot.schedule);
+    setBudget(snapshot.budget);
+    setDatePlan(snapshot.stops);
+    setPlanId(null); setOptimization(null); setEditingStop(null);
+    showPlanUrl(null);
+  };
+
+  // Asks the backend for fresh legs, times and totals; only the latest answer is applied
+  const recomputePlan = async (stops, planSchedule) => {
+    const seq = ++recomputeSeq.current;
+    setRecomputing(true);
+    try {
+      const result = await fetchJson('/api/plans/recompute', {
+        method: 'POST',
+        body: JSON.stringify({
+          plan: { planTitle, stops, schedule: planSchedule, budget, conditions, preferences: planPreferences },
+          transportMode: mode !== 'simple' ? transportMode : undefined,
+        }),
+      });
+      if (seq !== recomputeSeq.current) return;
+      setSchedule(result.schedule || null);
+      setBudget(result.budget || null);
+      setDatePlan(result.stops);
+    } catch (err) {
+      if (seq === recomputeSeq.current) setError(err.message);
+    } finally {
+      if (seq === recomputeSeq.current) setRecomputing(false);
+    }
+  };
+
+  // Applies a hand edit: the map updates right away, legs and times once the backend answers
+  const applyEdit = (nextStops, nextSchedule = schedule) => {
+    history.record(planSnapshot());
+    const previousNext = new Map(orderedStops.map((stop, i) => [stopKey(stop), orderedStops[i + 1] && stopKey(orderedStops[i + 1])]));
+    const stops = nextStops.map((stop, i) => {
+      const edited = { ...stop, stopNumber: i + 1 };
+      const next = nextStops[i + 1];
+      // A leg only stays valid if it still leads to the same stop
+      if (!next || previousNext.get(stopKey(stop)) !== stopKey(next)) delete edited.travelToNext;
+      // The first stop starts the plan; a pin there would fight the plan's start time
+      if (i === 0) delete edited.pinnedStartTime;
+      return edited;
+    });
+    setDatePlan(stops);
+    setSchedule(nextSchedule);
+    handleKeepVariant();
+    setPlanId(null); setOptimization(null);
+    showPlanUrl(null);
+    recomputePlan(stops, nextSchedule);
+  };
+
+  const handleUndo = () => {
+    const snapshot = history.undo(planSnapshot());
+    if (snapshot) restoreSnapshot(snapshot);
+  };
+
+  const handleRedo = () => {
+    const snapshot = history.redo(planSnapshot());
+    if (snapshot) restoreSnapshot(snapshot);
+  };
+
+  const handleDrop = (index) => {
+    if (dragIndex !== null && dragIndex !== index) {
+      const stops = [...orderedStops];
+      const [moved] = stops.splice(dragIndex, 1);
+      stops.splice(index, 0, moved);
+      applyEdit(stops);
+    }
+    setDragIndex(null); setDropIndex(null);
+  };
+
+  const handleDeleteStop = (index) => {
+    setEditingStop(null);
+    applyEdit(orderedStops.filter((_, i) => i !== index));
+  };
+
+  // Swaps an outdoor stop for its indoor alternate; the outdoor stop becomes the
+  // alternate, so pressing the button again swaps back
+  const handleSwapIndoor = (index) => {
+    const stop = orderedStops[index];
+    const { indoorAlternate, swappedIndoor, travelToNext: _leg, scheduleConflicts: _conflicts, ...current } = stop;
+    setEditingStop(null);
+    const { scheduleConflicts: _altConflicts, ...alternate } = indoorAlternate;
+    // The swapped-in place takes over the slot, times included, until the route is recomputed
+    applyEdit(orderedStops.map((s, i) => i !== index ? s : {
+      ...alternate,
+      stopNumber: stop.stopNumber,
+      startTime: stop.startTime,
+      endTime: stop.endTime,
+      duration: stop.duration,
+      durationMinutes: stop.durationMinutes,
+      pinnedStartTime: stop.pinnedStartTime,
+      swappedIndoor: !swappedIndoor || undefined,
+      indoorAlternate: current,
+    }));
+  };
+
+  // Opens a stop's info window on the map, listing real venues of the same type nearby
+  const handleShowAlternatives = async (stop) => {
+    const key = stopKey(stop);
+    setAlternatives({ key, loading: true, items: [], error: '' });
+    const params = new URLSearchParams({
+      lat: stop.lat,
+      lng: stop.lng,
+      type: stop.type || 'Activity',
+      exclude: orderedStops.map(s => s.name).join(','),
+    });
+    if (mode !== 'simple' && selectedVibe) params.set('vibe', selectedVibe);
+    const settle = (update) => setAlternatives(current => current && current.key === key ? { ...current, loading: false, ...update } : current);
+    try {
+      const result = await fetchJson(`/api/stops/alternatives?${params}`);
+      settle({ items: result.alternatives });
+    } catch (err) {
+      settle({ error: err.message });
+    }
+  };
+
+  // Puts a nearby venue in place of the stop whose alternatives are showing; it keeps the stop's slot and timing
+  const handleSwapAlternative = (venue) => {
+    const index = orderedStops.findIndex(stop => stopKey(stop) === alternatives.key);
+    setAlternatives(null);
+    if (index === -1) return;
+    const stop = orderedStops[index];
+    setEditingStop(null);
+    applyEdit(orderedStops.map((s, i) => i !== index ? s : {
+      stopNumber: stop.stopNumber,
+      name: venue.name,
+      description: '',
+      address: venue.address,
+      lat: venue.lat,
+      lng: venue.lng,
+      type: venue.type,
+      startTime: stop.startTime,
+      duration: stop.duration,
+      pinnedStartTime: stop.pinnedStartTime,
+      openingHours: venue.openingHours,
+      custom: true,
+      validationNotes: [],
+    }));
+  };
+
+  const handleEditStop = (index) => {
+    const stop = orderedStops[index];
+    setEditingStop(index);
+    setStopDraft({ name: stop.name || '', startTime: stop.startTime || '', durationMinutes: stop.durationMinutes || 60 });
+  };
+
+  const handleSaveStopEdit = (e) => {
+    e.preventDefault();
+    const index = editingStop;
+    const stop = orderedStops[index];
+    const timeChanged = stopDraft.startTime && stopDraft.startTime !== stop.startTime;
+    const minutes = Math.max(5, Math.round(Number(stopDraft.durationMinutes) || stop.durationMinutes || 60));
+    const stops = orderedStops.map((s, i) => i !== index ? s : {
+      ...s,
+      name: stopDraft.name.trim() || s.name,
+      duration: `${minutes} minutes`,
+      // Later stops get pinned to the new time; moving the first stop moves the whole plan
+      pinnedStartTime: timeChanged && index > 0 ? stopDraft.startTime : s.pinnedStartTime,
+    });
+    setEditingStop(null);
+    applyEdit(stops, timeChanged && index === 0 ? { ...schedule, startTime: stopDraft.startTime } : schedule);
+  };
+
+  const addCustomStop = ({ name, address = '', lat, lng, type = 'Activity' }) => {
+    applyEdit([...orderedStops, {
+      stopNumber: orderedStops.length + 1,
+      name,
+      description: '',
+      address,
+      lat,
+      lng,
+      type,
+      startTime: '',
+      duration: '1 hour',
+      custom: true,
+      validationNotes: [],
+    }]);
+  };
+
+  const placeToStop = (place) => ({
+    name: place.name,
+    address: place.formatted_address || '',
+    lat: place.geometry.location.lat(),
+    lng: place.geometry.location.lng(),
+    type: getStopTypeForPlace(place.types),
+  });
+
+  const handlePlaceChanged = () => {
+    const place = autocompleteRef.current && autocompleteRef.current.getPlace();
+    if (!place || !place.geometry) return; // the user pressed enter without picking a suggestion
+    addCustomStop(placeToStop(place));
+  };
+
+  const handleMapClick = (e) => {
+    if (!pinMode || !datePlan) return;
+    setPinMode(false);
+    const lat = e.latLng.lat();
+    const lng = e.latLng.lng();
+    if (e.placeId) {
+      // A click on a map POI: use the real place instead of a bare pin
+      e.stop();
+      new window.google.maps.places.PlacesService(mapRef.current).getDetails({ placeId: e.placeId, fields: PLACE_FIELDS }, (place, status) => {
+        addCustomStop(status === window.google.maps.places.PlacesServiceStatus.OK && place ? placeToStop(place) : { name: 'Dropped pin', lat, lng });
+      });
+      return;
+    }
+    addCustomStop({ name: 'Dropped pin', address: `${lat.toFixed(5)}, ${lng.toFixed(5)}`, lat, lng });
+  };
+
+  const handleRefineSubmit = (e) => {
+    e.preventDefault();
+    const instruction = refineInput.trim();
+    if (!instruction || refining) return;
+    setRefineInput('');
+    handleRefine({ instruction });
+  };
+
+  const handleExport = async (format) => {
+    setError('');
+    const slug = (planTitle || 'date-plan').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'date-plan';
+    try {
+      if (planId) {
+        await downloadFile(`/api/plans/${encodeURIComponent(planId)}/export/${format}`, `${slug}.${format}`);
+      } else {
+        await downloadFile(`/api/plans/export/${format}`, `${slug}.${format}`, {
+          method: 'POST',
+          body: JSON.stringify({ planTitle, stops: datePlan, schedule, conditions }),
+        });
+      }
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(`${window.location.origin}${planPath(planId)}`);
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+    } catch {
+      setError("Could not copy the link.");
+    }
+  };
+
   const handleGetLocation = () => {
     setManualLocationName(''); 
     setError(''); setLocation(null);
     navigator.geolocation.getCurrentPosition(
       (pos) => setLocation({ lat: pos.coords.latitude, lng: pos.coords.longitude }),
-      (err) => setError("Could not get location. Please enable it.")
+      () => setError("Could not get location. Please enable it.")
     );
   };
 
+  const togglePreference = (id) => {
+    setSelectedPreferences(current => current.includes(id) ? current.filter(p => p !== id) : [...current, id]);
+  };
+
   const handleManualLocationChange = (e) => {
     setLocation(null); 
     setManualLocationName(e.target.value);
   };
 
-  const handlePlanDate = async (e) => {
+  // `fresh` asks the server for a new plan even if it has one cached for the same request
+  const handlePlanDate = async (e, { fresh = false } = {}) => {
     // Prevent form submission from reloading the page
     if (e) e.preventDefault(); 
+
+    // A newer request replaces the one in flight; everything below checks it's still current
+    cancelPlanRequest();
+    const controller = new AbortController();
+    planRequest.current = controller;
+    const isCurrent = () => planRequest.current === controller;
+    const settle = () => {
+      if (!isCurrent()) return;
+      planRequest.current = null;
+      setLoading(false);
+    };
     
-    setLoading(true); setError(''); setDatePlan(null); setPlanTitle('');
+    setLoading(true); setError(''); setDatePlan(null); setPlanTitle(''); setSchedule(null); setBudget(null); setConditions(null); setPlanPreferences(null); setPlanId(null); setRefineHistory([]);
+    setVariants(null); setOverlayVariants(false); setTrip(null); setOptimization(null); setCachedAge(null); setAlternatives(null);
+    setEditingStop(null); setPinMode(false); history.reset();
+    showPlanUrl(null);
+
+    // Vibe, transport, timing, preferences and budget, shared by Advanced Mode and trips
+    const planOptions = () => ({
+      dateVibe: selectedVibe, transportMode, startTime, endTime,
+      preferences: {
+        ...Object.fromEntries(PREFERENCE_OPTIONS.filter(option => !option.dietary).map(option => [option.id, selectedPreferences.includes(option.id)])),
+        dietary: PREFERENCE_OPTIONS.filter(option => option.dietary && selectedPreferences.includes(option.id)).map(option => option.id),
+        groupSize: Math.min(20, Math.max(1, Math.round(Number(groupSize)) || 2)),
+      },
+      budget: { currency, maxTotal: maxBudget ? Number(maxBudget) : undefined },
+      priceLevel: priceLevel || undefined,
+    });
+
+    // A trip comes back whole, one plan per day
+    if (mode === 'trip') {
+      const dayCount = Math.round((Date.parse(tripEnd) - Date.parse(tripStart)) / 86400000) + 1;
+      if (tripDestination.trim() === '' || !selectedVibe || !tripStart || !tripEnd) {
+        setError("Please choose a destination, dates and a vibe.");
+        settle();
+        return;
+      }
+      if (!(dayCount >= 1 && dayCount <= MAX_TRIP_DAYS)) {
+        setError(`Trips run from 1 to ${MAX_TRIP_DAYS} days.`);
+        settle();
+        return;
+      }
+      try {
+        const result = await fetchJson('/api/generate-trip', {
+          method: 'POST',
+          body: JSON.stringify({
+            ...planOptions(), destination: tripDestination.trim(), lodging: tripLodging.trim() || undefined, startDate: tripStart, endDate: tripEnd,
+          }),
+          signal: controller.signal,
+        });
+        if (!isCurrent()) return;
+        // Remember each day's first and last stop, to tell when edits leave the lodging legs out of date
+        const days = result.days.map(day => ({
+          ...day,
+          lodgingStops: day.stops.length ? [stopKey(day.stops[0]), stopKey(day.stops[day.stops.length - 1])] : null,
+        }));
+        if (days.every(day => day.stops.length === 0)) throw new Error("The trip had no valid locations.");
+        showDay(0, { ...result, days });
+      } catch (err) {
+        if (isCurrent()) setError(err.message);
+      } finally {
+        settle();
+      }
+      return;
+    }
 
     let requestBody = {};
     if (mode === 'simple') {
       if (prompt.trim() === '') {
         setError("Please enter a prompt.");
-        setLoading(false);
+        settle();
         return;
       }
       requestBody = { prompt: prompt.trim() };
     } else { // Advanced Mode
       if ((!location && manualLocationName.trim() === '') || !selectedVibe || !transportMode) {
         setError("Please complete all steps in the form.");
-        setLoading(false);
+        settle();
         return;
       }
-      const baseRequestBody = { dateVibe: selectedVibe, transportMode, isAdult };
+      const baseRequestBody = { ...planOptions(), date: outingDate };
       requestBody = location
         ? { ...baseRequestBody, location }
         : { ...baseRequestBody, locationName: manualLocationName.trim() };
     }
 
-    try {
-      const response = await fetch('http://localhost:3000/api/generate-plan', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(requestBody),
-      });
-      if (!response.ok) {
-        const errData = await response.json();
-        throw new Error(errData.message || `Server error: ${response.status}`);
-      }
-      const responseData = await response.json();
-      const rawStops = responseData.stops || [];
-      const validStops = rawStops.filter(stop => 
-        stop && stop.lat != null && !isNaN(parseFloat(stop.lat)) && stop.lng != null && !isNaN(parseFloat(stop.lng))
-      );
-      if (rawStops.length !== validStops.length) {
-        console.warn("Some stops were filtered out due to invalid coordinates.");
-        if (validStops.length === 0) setError("The plan had no valid locations.");
+    const query = fresh ? '?fresh=true' : '';
+    const reusedAge = (cache) => (cache && cache.status === 'hit' ? cache.ageSeconds : null);
+    const isValidStop = (stop) =>
+      stop && stop.lat != null && !isNaN(parseFloat(stop.lat)) && stop.lng != null && !isNaN(parseFloat(stop.lng));
+
+    // Several options come back together; there's nothing to stream
+    if (mode === 'advanced' && variantCount > 1) {
+      try {
+        const result = await fetchJson(`/api/generate-plan${query}`, {
+          method: 'POST',
+          body: JSON.stringify({ ...requestBody, variants: variantCount }),
+          signal: controller.signal,
+        });
+        if (!isCurrent()) return;
+        const options = result.variants
+          .map(variant => ({ ...variant, stops: variant.stops.filter(isValidStop) }))
+          .filter(variant => variant.stops.length > 0);
+        if (options.length === 0) throw new Error("The plan had no valid locations.");
+        setVariants(options);
+        showVariant(0, options);
+        setCachedAge(reusedAge(result.cache));
+      } catch (err) {
+        if (isCurrent()) setError(err.message);
+      } finally {
+        settle();
       }
-      setPlanTitle(responseData.planTitle);
-      setDatePlan(validStops);
+      return;
+    }
+
+    // Stream the plan so markers and cards appear as the AI produces them
+    try {
+      let finished = false;
+      await streamEvents(`/api/generate-plan/stream${query}`, requestBody, (event, data) => {
+        if (!isCurrent()) return;
+        switch (event) {
+          case 'title':
+            setPlanTitle(data.planTitle);
+            break;
+          case 'stop':
+            if (isValidStop(data.stop)) setDatePlan(current => [...(current || []), data.stop]);
+            break;
+          case 'leg':
+            setDatePlan(current => current && current.map(stop =>
+              stop.stopNumber === data.fromStop ? { ...stop, travelToNext: data.leg } : stop
+            ));
+            break;
+          case 'done': {
+            finished = true;
+            const rawStops = data.stops || [];
+            const validStops = rawStops.filter(isValidStop);
+            if (rawStops.length !== validStops.length) {
+              console.warn("Some stops were filtered out due to invalid coordinates.");
+              if (validStops.length === 0) setError("The plan had no valid locations.");
+            }
+            setPlanTitle(data.planTitle);
+            setSchedule(data.schedule || null);
+            setBudget(data.budget || null);
+            setConditions(data.conditions || null);
+            setPlanPreferences(data.preferences || null);
+            setCachedAge(reusedAge(data.cache));
+            setDatePlan(validStops);
+            if (data.id) {
+              setPlanId(data.id);
+              showPlanUrl(data.id);
+            }
+            break;
+          }
+          case 'error':
+            throw new Error(errorMessage(data, 500));
+          default:
+            break;
+        }
+      }, { signal: controller.signal });
+      if (isCurrent() && !finished) throw new Error("The plan stream ended unexpectedly.");
     } catch (err) {
-      setError(err.message);
+      if (isCurrent()) setError(err.message);
     } finally {
-      setLoading(false);
+      settle();
     }
   };
   
@@ -147,17 +859,88 @@ function App() {
 
   return (
     <main className="relative h-screen w-screen overflow-hidden bg-gray-800">
-      <GoogleMap mapContainerStyle={mapContainerStyle} center={{ lat: 20.5937, lng: 78.9629 }} zoom={5} onLoad={onMapLoad} options={{ disableDefaultUI: true, zoomControl: true, streetViewControl: true }}>
-        {datePlan && datePlan.map((stop) => {
+      <GoogleMap mapContainerStyle={mapContainerStyle} center={{ lat: 20.5937, lng: 78.9629 }} zoom={5} onLoad={onMapLoad} onClick={handleMapClick} options={{ disableDefaultUI: true, zoomControl: true, streetViewControl: true, draggableCursor: pinMode ? 'crosshair' : undefined }}>
+        {overlayVariants && variants && variants.map((variant, v) => (
+          <React.Fragment key={variant.variantId}>
+            {variant.stops.map(stop => (
+              <Marker key={`${variant.variantId}-${stop.stopNumber}`} position={{ lat: parseFloat(stop.lat), lng: parseFloat(stop.lng) }} title={`${variant.angle}: ${stop.name}`} label={{ text: `${stop.stopNumber}`, color: 'white', fontWeight: 'bold', fontSize: '11px' }} icon={getVariantIcon(VARIANT_COLORS[v])} zIndex={v === activeVariant ? 10 : 1} onClick={() => showVariant(v)} />
+            ))}
+            {variant.stops.filter(stop => stop.travelToNext && stop.travelToNext.polyline).map(stop => (
+              <Polyline key={`${variant.variantId}-leg-${stop.stopNumber}`} path={getRoutePath(stop.travelToNext)} options={{ strokeColor: VARIANT_COLORS[v], strokeOpacity: v === activeVariant ? 0.9 : 0.5, strokeWeight: v === activeVariant ? 5 : 3 }} />
+            ))}
+          </React.Fragment>
+        ))}
+        {trip && trip.days.map((day, d) => d !== activeDay && (
+          // The trip's other days, faded in their own color; clicking one switches to it
+          <React.Fragment key={`day-${day.day}`}>
+            {day.stops.map(stop => (
+              <Marker key={`day-${day.day}-${stopKey(stop)}`} position={{ lat: parseFloat(stop.lat), lng: parseFloat(stop.lng) }} title={`Day ${day.day}: ${stop.name}`} label={{ text: `${stop.stopNumber}`, color: 'white', fontWeight: 'bold', fontSize: '11px' }} icon={getVariantIcon(DAY_COLORS[d % DAY_COLORS.length])} opacity={0.7} zIndex={1} onClick={() => showDay(d)} />
+            ))}
+            {day.stops.filter(stop => stop.travelToNext && stop.travelToNext.polyline).map(stop => (
+              <Polyline key={`day-${day.day}-leg-${stop.stopNumber}`} path={getRoutePath(stop.travelToNext)} options={{ strokeColor: DAY_COLORS[d % DAY_COLORS.length], strokeOpacity: 0.5, strokeWeight: 3 }} />
+            ))}
+          </React.Fragment>
+        ))}
+        {trip && trip.lodging && (
+          <Marker position={{ lat: trip.lodging.lat, lng: trip.lodging.lng }} title={`Staying at ${trip.lodging.name}`} icon={{ path: window.google.maps.SymbolPath.BACKWARD_CLOSED_ARROW, scale: 6, fillColor: '#ffffff', fillOpacity: 1, strokeColor: '#111827', strokeWeight: 2 }} zIndex={20} />
+        )}
+        {trip && trip.lodging && orderedStops.length > 0 && (() => {
+          // The planned legs while the day still starts and ends where it did, straight placeholders once edits move that
+          const day = trip.days[activeDay];
+          const ends = [stopKey(orderedStops[0]), stopKey(orderedStops[orderedStops.length - 1])];
+          const current = day.lodgingStops && day.lodgingStops[0] === ends[0] && day.lodgingStops[1] === ends[1];
+          const lodging = { lat: trip.lodging.lat, lng: trip.lodging.lng };
+          const first = orderedStops[0];
+          const last = orderedStops[orderedStops.length - 1];
+          return [
+            ['from', day.fromLodging, [lodging, { lat: parseFloat(first.lat), lng: parseFloat(first.lng) }]],
+            ['to', day.toLodging, [{ lat: parseFloat(last.lat), lng: parseFloat(last.lng) }, lodging]],
+          ].map(([key, leg, straight]) => (current && leg && leg.polyline
+            ? <Polyline key={`lodging-${key}`} path={getRoutePath(leg)} options={{ strokeColor: '#ffffff', strokeOpacity: 0.7, strokeWeight: 3 }} />
+            : <Polyline key={`lodging-${key}`} path={straight} options={{ strokeColor: '#9ca3af', strokeOpacity: 0.6, strokeWeight: 3 }} />));
+        })()}
+        {!overlayVariants && datePlan && datePlan.map((stop) => {
             const labelText = (stop.stopNumber != null && typeof stop.stopNumber !== 'object') ? `${stop.stopNumber}` : '';
-            return <Marker key={stop.stopNumber || stop.lat} position={{ lat: parseFloat(stop.lat), lng: parseFloat(stop.lng) }} title={stop.name || 'Date Stop'} label={{ text: labelText, color: 'white', fontWeight: 'bold' }} icon={getIconForStop(stop.type)} />;
+            return <Marker key={stopKey(stop)} position={{ lat: parseFloat(stop.lat), lng: parseFloat(stop.lng) }} title={stop.name || 'Date Stop'} label={{ text: labelText, color: 'white', fontWeight: 'bold' }} icon={getIconForStop(stop.type)} animation={window.google.maps.Animation.DROP} onClick={() => handleShowAlternatives(stop)} />;
+        })}
+        {!overlayVariants && alternativesStop && (
+          <InfoWindow position={{ lat: parseFloat(alternativesStop.lat), lng: parseFloat(alternativesStop.lng) }} onCloseClick={() => setAlternatives(null)}>
+            <div className="text-gray-800 text-sm max-w-xs">
+              <p className="font-bold mb-1">Instead of {alternativesStop.name}</p>
+              {alternatives.loading && <p className="flex items-center gap-1 text-gray-500"><HiArrowPath className="animate-spin" />Looking nearby...</p>}
+              {alternatives.error && <p className="text-red-600">{alternatives.error}</p>}
+              {!alternatives.loading && !alternatives.error && alternatives.items.length === 0 && <p className="text-gray-500">No other {(alternativesStop.type || 'places').toLowerCase()} spots nearby.</p>}
+              <ul className="space-y-1">
+                {alternatives.items.map(venue => (
+                  <li key={venue.id} className="flex items-center justify-between gap-2">
+                    <span>
+                      <span className="font-semibold">{venue.name}</span>
+                      <span className="text-gray-500"> · {formatDistance(venue.distanceMeters)}{venue.vibeMatches.length > 0 && ` · ${venue.vibeMatches.map(word => word.replace(/_/g, ' ')).join(', ')}`}</span>
+                    </span>
+                    <button onClick={() => handleSwapAlternative(venue)} className="flex-shrink-0 text-pink-600 font-semibold hover:text-pink-500">Swap in</button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          </InfoWindow>
+        )}
+        {!overlayVariants && datePlan && datePlan.filter(stop => stop.travelToNext && stop.travelToNext.polyline).map((stop) => (
+          // Straight-line estimates are drawn faded so they don't pass for a real route
+          <Polyline key={`leg-${stop.stopNumber}`} path={getRoutePath(stop.travelToNext)} options={{ strokeColor: ROUTE_COLORS[stop.travelToNext.transportMode] || '#f472b6', strokeOpacity: stop.travelToNext.routingProvider === 'haversine' ? 0.5 : 0.9, strokeWeight: 4 }} />
+        ))}
+        {!overlayVariants && orderedStops.slice(0, -1).filter(stop => !stop.travelToNext).map((stop) => {
+          // Placeholder line while an edited leg is being recomputed
+          const next = orderedStops[orderedStops.indexOf(stop) + 1];
+          return <Polyline key={`pending-${stopKey(stop)}`} path={[{ lat: parseFloat(stop.lat), lng: parseFloat(stop.lng) }, { lat: parseFloat(next.lat), lng: parseFloat(next.lng) }]} options={{ strokeColor: '#9ca3af', strokeOpacity: 0.6, strokeWeight: 3 }} />;
         })}
       </GoogleMap>
       
       {/* --- Mode Switcher --- */}
       <div className="absolute top-4 left-4 z-10 bg-gray-800/80 backdrop-blur-sm p-1 rounded-full flex items-center gap-1 text-sm text-white font-semibold">
-        <button onClick={() => setMode('simple')} className={`px-4 py-2 rounded-full transition-colors ${mode === 'simple' ? 'bg-pink-600' : 'hover:bg-gray-700'}`}>Simple</button>
-        <button onClick={() => setMode('advanced')} className={`px-4 py-2 rounded-full transition-colors ${mode === 'advanced' ? 'bg-pink-600' : 'hover:bg-gray-700'}`}>Advanced</button>
+        <button onClick={() => handleModeChange('simple')} className={`px-4 py-2 rounded-full transition-colors ${mode === 'simple' ? 'bg-pink-600' : 'hover:bg-gray-700'}`}>Simple</button>
+        <button onClick={() => handleModeChange('advanced')} className={`px-4 py-2 rounded-full transition-colors ${mode === 'advanced' ? 'bg-pink-600' : 'hover:bg-gray-700'}`}>Advanced</button>
+        <button onClick={() => handleModeChange('trip')} className={`px-4 py-2 rounded-full transition-colors ${mode === 'trip' ? 'bg-pink-600' : 'hover:bg-gray-700'}`}>Trip</button>
+        <button onClick={() => setIsDrawerOpen(true)} title="Saved plans" className="px-3 py-2 rounded-full transition-colors hover:bg-gray-700"><HiBookmarkSquare className="h-5 w-5" /></button>
       </div>
 
       {/* --- Simple Mode UI --- */}
@@ -185,35 +968,185 @@ function App() {
           <div className="p-4 bg-gray-700/50 rounded-lg"><h2 className="font-bold text-lg mb-2 flex items-center gap-2"><HiMapPin className="text-pink-400" /><span>Location</span></h2>{location ? (<div className="flex items-center gap-2"><div className="flex-grow bg-green-600 text-white font-bold py-2 px-4 rounded-lg text-center flex items-center justify-center gap-2"><HiCheckCircle /><span>Location Captured!</span></div><button onClick={handleGetLocation} title="Retake Location" className="flex-shrink-0 bg-blue-500 hover:bg-blue-600 text-white p-2.5 rounded-lg"><HiArrowPath className="h-5 w-5" /></button></div>) : (<button onClick={handleGetLocation} className="bg-blue-500 hover:bg-blue-600 text-white font-bold py-2 px-4 rounded-lg w-full flex items-center justify-center gap-2"><HiMapPin /><span>Use My Current Location</span></button>)}<div className="my-3 text-center text-gray-400 text-sm font-semibold">OR</div><input type="text" placeholder="Enter a city or neighborhood" className="w-full bg-gray-600 border border-gray-500 rounded-lg p-2 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-pink-400" value={manualLocationName} onChange={handleManualLocationChange}/></div>
           <div className="p-4 bg-gray-700/50 rounded-lg"><h2 className="font-bold text-lg mb-3 flex items-center gap-2"><HiSparkles className="text-pink-400" /><span>Vibe</span></h2><div className="grid grid-cols-3 gap-2">{DATE_VIBES.map(vibe => (<button key={vibe} onClick={() => setSelectedVibe(vibe)} className={`p-2 rounded-lg text-sm font-semibold transition-all ${selectedVibe === vibe ? 'bg-pink-600' : 'bg-gray-600 hover:bg-gray-500'}`}>{vibe}</button>))}</div></div>
           <div className="p-4 bg-gray-700/50 rounded-lg"><h2 className="font-bold text-lg mb-2 flex items-center gap-2"><HiTruck className="text-pink-400" /><span>Transport</span></h2><select value={transportMode} onChange={(e) => setTransportMode(e.target.value)} className="w-full p-2 bg-gray-600 rounded-lg">{TRANSPORT_MODES.map(mode => <option key={mode} value={mode}>{mode}</option>)}</select></div>
-          <div className="p-4 bg-gray-700/50 rounded-lg"><h2 className="font-bold text-lg mb-2 flex items-center gap-2"><HiCog8Tooth className="text-pink-400" /><span>Preferences</span></h2><label htmlFor="isAdultToggle" className="flex items-center justify-between cursor-pointer"><span className="text-gray-200">Include 18+ locations</span><div className="relative"><input type="checkbox" id="isAdultToggle" className="sr-only" checked={isAdult} onChange={() => setIsAdult(!isAdult)} /><div className="block bg-gray-600 w-14 h-8 rounded-full"></div><div className={`dot absolute left-1 top-1 bg-white w-6 h-6 rounded-full transition-transform ${isAdult ? 'transform translate-x-6 bg-pink-400' : ''}`}></div></div></label></div>
+          <div className="p-4 bg-gray-700/50 rounded-lg"><h2 className="font-bold text-lg mb-2 flex items-center gap-2"><HiClock className="text-pink-400" /><span>Timing</span></h2><div className="grid grid-cols-2 gap-2"><label className="col-span-2 text-sm text-gray-300">Date<input type="date" value={outingDate} min={todayIso()} onChange={(e) => setOutingDate(e.target.value)} className="mt-1 w-full p-2 bg-gray-600 rounded-lg text-white" /></label><label className="text-sm text-gray-300">Start<input type="time" value={startTime} onChange={(e) => setStartTime(e.target.value)} className="mt-1 w-full p-2 bg-gray-600 rounded-lg text-white" /></label><label className="text-sm text-gray-300">End<input type="time" value={endTime} onChange={(e) => setEndTime(e.target.value)} className="mt-1 w-full p-2 bg-gray-600 rounded-lg text-white" /></label></div></div>
+          <div className="p-4 bg-gray-700/50 rounded-lg"><h2 className="font-bold text-lg mb-2 flex items-center gap-2"><HiBanknotes className="text-pink-400" /><span>Budget</span></h2><div className="grid grid-cols-3 gap-2"><label className="text-sm text-gray-300">Currency<select value={currency} onChange={(e) => setCurrency(e.target.value)} className="mt-1 w-full p-2 bg-gray-600 rounded-lg text-white">{CURRENCIES.map(code => <option key={code} value={code}>{code}</option>)}</select></label><label className="col-span-2 text-sm text-gray-300">Max total<input type="number" min="0" placeholder="No limit" value={maxBudget} onChange={(e) => setMaxBudget(e.target.value)} className="mt-1 w-full p-2 bg-gray-600 rounded-lg text-white placeholder-gray-400" /></label></div><div className="grid grid-cols-5 gap-2 mt-3">{PRICE_LEVELS.map(level => (<button key={level.label} onClick={() => setPriceLevel(level.value)} className={`p-2 rounded-lg text-sm font-semibold transition-all ${priceLevel === level.value ? 'bg-pink-600' : 'bg-gray-600 hover:bg-gray-500'}`}>{level.label}</button>))}</div></div>
+          <div className="p-4 bg-gray-700/50 rounded-lg"><h2 className="font-bold text-lg mb-2 flex items-center gap-2"><HiSquare2Stack className="text-pink-400" /><span>Options to compare</span></h2><div className="grid grid-cols-4 gap-2">{VARIANT_COUNTS.map(count => (<button key={count} onClick={() => setVariantCount(count)} className={`p-2 rounded-lg text-sm font-semibold transition-all ${variantCount === count ? 'bg-pink-600' : 'bg-gray-600 hover:bg-gray-500'}`}>{count === 1 ? 'Just one' : count}</button>))}</div></div>
+          <div className="p-4 bg-gray-700/50 rounded-lg"><h2 className="font-bold text-lg mb-2 flex items-center gap-2"><HiCog8Tooth className="text-pink-400" /><span>Preferences</span></h2><div className="grid grid-cols-2 gap-2">{PREFERENCE_OPTIONS.map(option => (<button key={option.id} onClick={() => togglePreference(option.id)} aria-pressed={selectedPreferences.includes(option.id)} className={`p-2 rounded-lg text-sm font-semibold transition-all ${selectedPreferences.includes(option.id) ? 'bg-pink-600' : 'bg-gray-600 hover:bg-gray-500'}`}>{option.label}</button>))}</div><label className="mt-3 flex items-center justify-between text-sm text-gray-300">Group size<input type="number" min="1" max="20" value={groupSize} onChange={(e) => setGroupSize(e.target.value)} className="w-20 p-2 bg-gray-600 rounded-lg text-white" /></label></div>
           <button onClick={handlePlanDate} disabled={loading} className="w-full bg-pink-500 text-white font-bold py-3 rounded-lg text-lg flex items-center justify-center gap-2 transition-colors disabled:bg-gray-600 disabled:cursor-not-allowed hover:bg-pink-600">{loading ? (<><HiArrowPath className="animate-spin h-5 w-5" /><span>Generating...</span></>) : (<><span>Plan My Date!</span><HiSparkles className="h-5 w-5" /></>)}</button>
         </div>
       )}
 
+      {/* --- Trip Mode UI Panel --- */}
+      {mode === 'trip' && (
+        <div className="absolute top-20 left-4 z-10 w-full max-w-md p-6 bg-gray-800/80 backdrop-blur-sm rounded-lg shadow-lg space-y-4">
+          <h1 className="text-xl font-bold text-center text-pink-400 flex items-center justify-center gap-2"><HiCalendarDays /><span>Trip Planner</span></h1>
+          <div className="p-4 bg-gray-700/50 rounded-lg space-y-3"><h2 className="font-bold text-lg flex items-center gap-2"><HiMapPin className="text-pink-400" /><span>Where</span></h2><input type="text" placeholder="Destination city or neighborhood" className="w-full bg-gray-600 border border-gray-500 rounded-lg p-2 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-pink-400" value={tripDestination} onChange={(e) => setTripDestination(e.target.value)} /><label className="block text-sm text-gray-300"><span className="flex items-center gap-1"><HiHome />Staying at (optional)</span><input type="text" placeholder="Hotel name or address" className="mt-1 w-full bg-gray-600 border border-gray-500 rounded-lg p-2 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-pink-400" value={tripLodging} onChange={(e) => setTripLodging(e.target.value)} /></label></div>
+          <div className="p-4 bg-gray-700/50 rounded-lg"><h2 className="font-bold text-lg mb-2 flex items-center gap-2"><HiClock className="text-pink-400" /><span>When</span></h2><div className="grid grid-cols-2 gap-2"><label className="text-sm text-gray-300">From<input type="date" value={tripStart} min={todayIso()} onChange={(e) => setTripStart(e.target.value)} className="mt-1 w-full p-2 bg-gray-600 rounded-lg text-white" /></label><label className="text-sm text-gray-300">To<input type="date" value={tripEnd} min={tripStart || todayIso()} onChange={(e) => setTripEnd(e.target.value)} className="mt-1 w-full p-2 bg-gray-600 rounded-lg text-white" /></label><label className="text-sm text-gray-300">Days start<input type="time" value={startTime} onChange={(e) => setStartTime(e.target.value)} className="mt-1 w-full p-2 bg-gray-600 rounded-lg text-white" /></label><label className="text-sm text-gray-300">Days end<input type="time" value={endTime} onChange={(e) => setEndTime(e.target.value)} className="mt-1 w-full p-2 bg-gray-600 rounded-lg text-white" /></label></div></div>
+          <div className="p-4 bg-gray-700/50 rounded-lg"><h2 className="font-bold text-lg mb-3 flex items-center gap-2"><HiSparkles className="text-pink-400" /><span>Vibe</span></h2><div className="grid grid-cols-3 gap-2">{DATE_VIBES.map(vibe => (<button key={vibe} onClick={() => setSelectedVibe(vibe)} className={`p-2 rounded-lg text-sm font-semibold transition-all ${selectedVibe === vibe ? 'bg-pink-600' : 'bg-gray-600 hover:bg-gray-500'}`}>{vibe}</button>))}</div></div>
+          <div className="p-4 bg-gray-700/50 rounded-lg"><h2 className="font-bold text-lg mb-2 flex items-center gap-2"><HiTruck className="text-pink-400" /><span>Transport</span></h2><select value={transportMode} onChange={(e) => setTransportMode(e.target.value)} className="w-full p-2 bg-gray-600 rounded-lg">{TRANSPORT_MODES.map(mode => <option key={mode} value={mode}>{mode}</option>)}</select></div>
+          <p className="text-xs text-center text-gray-400">Preferences and the budget (per day) come from Advanced Mode.</p>
+          <button onClick={handlePlanDate} disabled={loading} className="w-full bg-pink-500 text-white font-bold py-3 rounded-lg text-lg flex items-center justify-center gap-2 transition-colors disabled:bg-gray-600 disabled:cursor-not-allowed hover:bg-pink-600">{loading ? (<><HiArrowPath className="animate-spin h-5 w-5" /><span>Planning the trip...</span></>) : (<><span>Plan My Trip!</span><HiCalendarDays className="h-5 w-5" /></>)}</button>
+        </div>
+      )}
+
       {/* --- Results Panel --- */}
       <div ref={resultsRef} className={`absolute top-0 right-0 h-full w-full max-w-md bg-gray-800/80 backdrop-blur-sm shadow-2xl transition-transform duration-500 ease-in-out ${datePlan ? 'translate-x-0' : 'translate-x-full'}`}>
         {datePlan && (
           <div className="p-6 h-full overflow-y-auto text-white">
-             <button onClick={() => setDatePlan(null)} className="absolute top-4 right-4 text-gray-400 hover:text-white">×</button>
+             <button onClick={handleClosePlan} className="absolute top-4 right-4 text-gray-400 hover:text-white">×</button>
+            {trip && (
+              <div className="mb-4">
+                <p className="text-sm text-center text-gray-300 mb-2">{trip.tripTitle}{trip.lodging && <span className="text-gray-400"> · staying at {trip.lodging.name}</span>}</p>
+                {trip.warnings && trip.warnings.map((warning, i) => (
+                  <p key={i} className="flex items-center justify-center gap-2 text-sm text-amber-400 mb-2"><HiExclamationTriangle className="flex-shrink-0" /><span>{warning}</span></p>
+                ))}
+                <div className="flex flex-wrap justify-center gap-2">
+                  {trip.days.map((day, d) => (
+                    <button key={day.day} onClick={() => d !== activeDay && showDay(d)} className={`text-sm py-1.5 px-3 rounded-full border-b-4 transition-colors ${d === activeDay ? 'bg-gray-700' : 'bg-gray-700/40 hover:bg-gray-700/70'}`} style={{ borderColor: DAY_COLORS[d % DAY_COLORS.length] }}>Day {day.day}<span className="text-gray-400"> · {formatDay(day.conditions.date)}</span></button>
+                  ))}
+                </div>
+              </div>
+            )}
             <h2 className="text-2xl font-bold text-center text-pink-400 mb-6">{planTitle || "Your Generated Date Plan"}</h2>
+            {variants && (
+              <div className="-mt-2 mb-6 space-y-2">
+                {variants.map((variant, v) => (
+                  <button key={variant.variantId} onClick={() => showVariant(v)} className={`w-full text-left p-3 rounded-lg border-l-4 transition-colors ${v === activeVariant ? 'bg-gray-700' : 'bg-gray-700/40 hover:bg-gray-700/70'}`} style={{ borderColor: VARIANT_COLORS[v] }}>
+                    <p className="font-semibold">{variant.angle}<span className="font-normal text-gray-400"> · {variant.planTitle}</span></p>
+                    <p className="text-xs text-gray-300 mt-1">{variant.metrics.stopCount} stops{variant.metrics.totalDurationMinutes != null && ` · ${formatMinutes(variant.metrics.totalDurationMinutes)}`} · {formatMinutes(variant.metrics.totalTravelMinutes)} travel{variant.metrics.estimatedCost > 0 && ` · ~${formatMoney(variant.metrics.estimatedCost, variant.metrics.currency)}`}</p>
+                  </button>
+                ))}
+                <div className="flex justify-center gap-2 pt-1">
+                  <button onClick={() => setOverlayVariants(!overlayVariants)} className={`flex items-center gap-2 text-sm py-1.5 px-3 rounded-full ${overlayVariants ? 'bg-pink-600 hover:bg-pink-500' : 'bg-gray-700 hover:bg-gray-600'}`}><HiSquare2Stack />{overlayVariants ? 'Showing all on map' : 'Overlay on map'}</button>
+                  <button onClick={handleKeepVariant} className="flex items-center gap-2 text-sm bg-pink-600 hover:bg-pink-500 py-1.5 px-3 rounded-full"><HiCheckCircle />Keep this one</button>
+                </div>
+              </div>
+            )}
+            <div className="flex flex-wrap justify-center gap-2 -mt-4 mb-6">
+              {planId ? (
+                <button onClick={handleCopyLink} className="flex items-center gap-2 text-sm bg-gray-700 hover:bg-gray-600 py-1.5 px-3 rounded-full"><HiLink />{linkCopied ? 'Link copied!' : 'Copy share link'}</button>
+              ) : (
+                <button onClick={handleSavePlan} className="flex items-center gap-2 text-sm bg-pink-600 hover:bg-pink-500 py-1.5 px-3 rounded-full"><HiBookmark />Save plan</button>
+              )}
+              {EXPORT_FORMATS.map(({ format, label }) => (
+                <button key={format} onClick={() => handleExport(format)} title={`Download as .${format}`} className="flex items-center gap-1 text-sm bg-gray-700 hover:bg-gray-600 py-1.5 px-3 rounded-full"><HiArrowDownTray />{label}</button>
+              ))}
+              <button onClick={handleOptimize} disabled={optimizing || datePlan.length < 3} title="Reorder the stops to cut down on travel" className="flex items-center gap-1 text-sm bg-gray-700 hover:bg-gray-600 py-1.5 px-3 rounded-full disabled:opacity-50"><HiArrowsUpDown className={optimizing ? 'animate-pulse' : ''} />Optimize order</button>
+            </div>
+            {optimization && (
+              <p className="text-sm text-center text-gray-300 -mt-4 mb-6">{optimization.orderChanged && optimization.savedMeters > 0
+                ? <>Reordered to save <span className="text-green-400">{formatDistance(optimization.savedMeters)}</span> ({formatDistance(optimization.beforeDistanceMeters)} → {formatDistance(optimization.afterDistanceMeters)})</>
+                : optimization.orderChanged ? 'Reordered to fit mealtimes better.' : 'This order is already the shortest.'}</p>
+            )}
+            {schedule && (
+              <p className="text-sm text-center text-gray-300 -mt-4 mb-6">{schedule.startTime} – {schedule.finishesAt}{schedule.endTime && ` (ends by ${schedule.endTime})`}{schedule.conflictCount > 0 && <span className="text-amber-400"> · {schedule.conflictCount} conflict{schedule.conflictCount === 1 ? '' : 's'}</span>}</p>
+            )}
+            {conditions && (
+              <p className="text-sm text-center text-gray-300 -mt-4 mb-6 flex items-center justify-center gap-1">{conditions.weather && conditions.weather.wet ? <HiCloud className="text-blue-300" /> : <HiSun className="text-amber-300" />}{formatDay(conditions.date)}{conditions.weather && ` · ${conditions.weather.summary}, ${conditions.weather.temperatureMin}–${conditions.weather.temperatureMax}°C, ${conditions.weather.precipitationProbability}% rain`}{conditions.sunset && ` · sunset ${conditions.sunset}`}</p>
+            )}
+            {cachedAge != null && (
+              <p className="text-sm text-center text-gray-400 -mt-4 mb-6">Same plan as {cachedAge < 60 ? 'a moment' : `${Math.round(cachedAge / 60)} min`} ago for this request · <button onClick={() => handlePlanDate(null, { fresh: true })} disabled={loading} className="text-pink-400 underline hover:text-pink-300 disabled:text-gray-500">Plan a new one</button></p>
+            )}
+            {budget && budget.total > 0 && (
+              <p className="text-sm text-center text-gray-300 -mt-4 mb-6 flex items-center justify-center gap-1"><HiBanknotes className="text-pink-400" />Est. {formatMoney(budget.total, budget.currency)}{budget.maxTotal != null && ` of ${formatMoney(budget.maxTotal, budget.currency)}`}{!budget.withinBudget && <span className="text-amber-400"> · {formatMoney(budget.overBy, budget.currency)} over budget</span>}</p>
+            )}
+            <div className="flex items-center justify-between mb-3 text-sm">
+              <span className="text-gray-400">{recomputing ? 'Updating route…' : 'Drag stops to reorder'}</span>
+              <div className="flex gap-1">
+                <button onClick={handleUndo} disabled={!history.canUndo} title="Undo" className="p-1.5 rounded-full hover:bg-gray-700 disabled:opacity-40"><HiArrowUturnLeft className="h-4 w-4" /></button>
+                <button onClick={handleRedo} disabled={!history.canRedo} title="Redo" className="p-1.5 rounded-full hover:bg-gray-700 disabled:opacity-40"><HiArrowUturnRight className="h-4 w-4" /></button>
+              </div>
+            </div>
             <div className="space-y-4">
-              {datePlan.sort((a, b) => (a.stopNumber || 0) - (b.stopNumber || 0)).map((stop, index) => (
-                <React.Fragment key={stop.stopNumber || index}>
-                  <div className="p-4 bg-gray-700/70 rounded-lg">
-                    <p className="font-bold text-lg">{stop.stopNumber}. {stop.name || 'Unnamed Stop'}</p>
-                    <div className="flex items-center gap-2 text-sm text-pink-300 mt-1"><HiClock /><span>Starts at {stop.startTime} (approx. {stop.duration})</span></div>
+              {orderedStops.map((stop, index, stops) => (
+                <React.Fragment key={stopKey(stop)}>
+                  <div
+                    draggable={editingStop === null}
+                    onDragStart={() => setDragIndex(index)}
+                    onDragOver={(e) => { e.preventDefault(); setDropIndex(index); }}
+                    onDragEnd={() => { setDragIndex(null); setDropIndex(null); }}
+                    onDrop={(e) => { e.preventDefault(); handleDrop(index); }}
+                    className={`p-4 bg-gray-700/70 rounded-lg transition-shadow ${dragIndex === index ? 'opacity-50' : ''} ${dropIndex === index && dragIndex !== index ? 'ring-2 ring-pink-400' : ''}`}
+                  >
+                    <div className="flex items-start justify-between gap-2">
+                      <HiBars3 title="Drag to reorder" className="flex-shrink-0 h-5 w-5 text-gray-500 mt-1 cursor-grab" />
+                      <p className="font-bold text-lg flex-grow">{stop.stopNumber}. {stop.name || 'Unnamed Stop'}</p>
+                      {stop.custom && <span className="text-xs text-blue-300 mt-1.5">Added by you</span>}
+                      {stop.verified === true && <span title="Verified on OpenStreetMap" className="flex items-center gap-1 text-xs text-green-400 mt-1.5"><HiShieldCheck />Verified</span>}
+                      {stop.verified === false && <span title="This place could not be confirmed on OpenStreetMap" className="flex items-center gap-1 text-xs text-amber-400 mt-1.5"><HiExclamationTriangle />Unverified</span>}
+                      <button onClick={() => handleRefine({ stopNumber: stop.stopNumber })} disabled={refining !== null} title="Regenerate this stop" className="flex-shrink-0 text-gray-400 hover:text-pink-400 disabled:opacity-50 mt-1"><HiArrowPath className={`h-4 w-4 ${refining === stop.stopNumber ? 'animate-spin' : ''}`} /></button>
+                      <button onClick={() => handleEditStop(index)} title="Edit time and duration" className="flex-shrink-0 text-gray-400 hover:text-pink-400 mt-1"><HiPencilSquare className="h-4 w-4" /></button>
+                      <button onClick={() => handleDeleteStop(index)} disabled={stops.length < 2} title="Remove this stop" className="flex-shrink-0 text-gray-400 hover:text-red-400 disabled:opacity-50 mt-1"><HiTrash className="h-4 w-4" /></button>
+                    </div>
+                    {editingStop === index ? (
+                      <form onSubmit={handleSaveStopEdit} className="grid grid-cols-2 gap-2 mt-2 text-sm">
+                        <label className="col-span-2 text-gray-300">Name<input type="text" value={stopDraft.name} onChange={(e) => setStopDraft({ ...stopDraft, name: e.target.value })} className="mt-1 w-full p-2 bg-gray-600 rounded-lg text-white" /></label>
+                        <label className="text-gray-300">Starts at<input type="time" value={stopDraft.startTime} onChange={(e) => setStopDraft({ ...stopDraft, startTime: e.target.value })} className="mt-1 w-full p-2 bg-gray-600 rounded-lg text-white" /></label>
+                        <label className="text-gray-300">Minutes<input type="number" min="5" step="5" value={stopDraft.durationMinutes} onChange={(e) => setStopDraft({ ...stopDraft, durationMinutes: e.target.value })} className="mt-1 w-full p-2 bg-gray-600 rounded-lg text-white" /></label>
+                        <div className="col-span-2 flex justify-end gap-2">
+                          <button type="button" onClick={() => setEditingStop(null)} className="py-1.5 px-3 rounded-full bg-gray-600 hover:bg-gray-500">Cancel</button>
+                          <button type="submit" className="py-1.5 px-3 rounded-full bg-pink-600 hover:bg-pink-500">Save</button>
+                        </div>
+                      </form>
+                    ) : (
+                      <div className="flex items-center gap-2 text-sm text-pink-300 mt-1"><HiClock /><span>{stop.endTime ? `${stop.startTime} – ${stop.endTime}` : `Starts at ${stop.startTime}`} (approx. {stop.duration}){stop.pinnedStartTime && <span className="text-gray-400"> · pinned</span>}</span></div>
+                    )}
+                    {stop.estimatedCost != null && (
+                      <div className="flex items-center gap-2 text-sm text-gray-300 mt-1"><HiBanknotes /><span>~{formatMoney(stop.estimatedCost, budget && budget.currency)}<span className="text-gray-400"> · {formatMoney(stops.slice(0, index + 1).reduce((sum, s) => sum + (s.estimatedCost || 0), 0), budget && budget.currency)} so far</span></span></div>
+                    )}
+                    {stop.indoorAlternate && (
+                      <button onClick={() => handleSwapIndoor(index)} title={stop.indoorAlternate.description} className="flex items-center gap-2 text-sm text-blue-300 hover:text-blue-200 mt-1"><HiHome className="flex-shrink-0" /><span>{stop.swappedIndoor ? 'Back to' : 'Indoor option'}: {stop.indoorAlternate.name}</span></button>
+                    )}
+                    {stop.matchedPreferences && stop.matchedPreferences.length > 0 && (
+                      <div className="flex flex-wrap gap-1 mt-2">{stop.matchedPreferences.map(key => <span key={key} className="flex items-center gap-1 text-xs bg-green-900/60 text-green-300 py-0.5 px-2 rounded-full"><HiCheckCircle />{PREFERENCE_LABELS[key] || key}</span>)}</div>
+                    )}
+                    {stop.unmetPreferences && stop.unmetPreferences.length > 0 && (
+                      <p className="flex items-center gap-2 text-sm text-amber-400 mt-1"><HiExclamationTriangle className="flex-shrink-0" /><span>Not confirmed: {stop.unmetPreferences.map(key => PREFERENCE_LABELS[key] || key).join(', ')}.</span></p>
+                    )}
+                    {stop.overBudget && <p className="flex items-center gap-2 text-sm text-amber-400 mt-1"><HiExclamationTriangle className="flex-shrink-0" /><span>One of the stops pushing the plan over budget.</span></p>}
+                    {stop.scheduleConflicts && stop.scheduleConflicts.map((conflict, i) => (
+                      <p key={i} className="flex items-center gap-2 text-sm text-amber-400 mt-1"><HiExclamationTriangle className="flex-shrink-0" /><span>{conflict.message}</span></p>
+                    ))}
                     <p className="text-sm text-gray-300 mt-2">{stop.description}</p>
+                    {stop.validationNotes && stop.validationNotes.length > 0 && (
+                      <ul className="text-xs text-gray-400 mt-2 list-disc list-inside">{stop.validationNotes.map((note, i) => <li key={i}>{note}</li>)}</ul>
+                    )}
                   </div>
                   {stop.travelToNext && (
-                    <div className="h-20 flex items-center pl-5"><div className="border-l-2 border-dashed border-gray-500 h-full"></div><div className="flex items-center gap-3 -ml-4"><HiArrowRightCircle className="w-8 h-8 text-gray-400" /><div className="text-gray-300"><p className="font-semibold">{stop.travelToNext.travelTime}</p><p className="text-sm">via {stop.travelToNext.transportMode}</p></div></div></div>
+                    <div className="h-20 flex items-center pl-5"><div className="border-l-2 border-dashed border-gray-500 h-full"></div><div className="flex items-center gap-3 -ml-4"><HiArrowRightCircle className="w-8 h-8 text-gray-400" /><div className="text-gray-300"><p className="font-semibold">{stop.travelToNext.travelTime}{stop.travelToNext.distanceMeters != null && <span className="font-normal text-gray-400"> · {formatDistance(stop.travelToNext.distanceMeters)}</span>}</p><p className="text-sm">via {stop.travelToNext.transportMode}</p></div></div></div>
                   )}
                 </React.Fragment>
               ))}
             </div>
+            <div className="mt-6 p-4 bg-gray-700/50 rounded-lg">
+              <h3 className="font-bold mb-2 flex items-center gap-2"><HiPlus className="text-pink-400" /><span>Add a stop</span></h3>
+              <div className="flex items-center gap-2">
+                <Autocomplete onLoad={(ac) => { autocompleteRef.current = ac; }} onPlaceChanged={handlePlaceChanged} fields={PLACE_FIELDS} className="flex-grow">
+                  <input type="text" placeholder="Search for a place..." className="w-full bg-gray-600 rounded-lg p-2 text-sm text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-pink-400" />
+                </Autocomplete>
+                <button onClick={() => setPinMode(!pinMode)} title="Click on the map to drop a pin" className={`flex-shrink-0 flex items-center gap-1 text-sm py-2 px-3 rounded-lg ${pinMode ? 'bg-pink-600 hover:bg-pink-500' : 'bg-gray-600 hover:bg-gray-500'}`}><HiMapPin />{pinMode ? 'Click the map' : 'Drop a pin'}</button>
+              </div>
+            </div>
+            <div className="mt-6 p-4 bg-gray-700/50 rounded-lg">
+              <h3 className="font-bold mb-2 flex items-center gap-2"><HiChatBubbleLeftRight className="text-pink-400" /><span>Tweak this plan</span></h3>
+              {refineHistory.length > 0 && (
+                <ul className="space-y-2 mb-3 text-sm">
+                  {refineHistory.map((entry, i) => (
+                    <li key={i}><p className="text-pink-300">{entry.instruction}</p><p className="text-gray-400">{entry.summary}</p></li>
+                  ))}
+                </ul>
+              )}
+              <form onSubmit={handleRefineSubmit} className="flex items-center gap-2">
+                <input type="text" value={refineInput} onChange={(e) => setRefineInput(e.target.value)} placeholder="Add a dessert place at the end..." className="w-full bg-gray-600 rounded-lg p-2 text-sm text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-pink-400" />
+                <button type="submit" disabled={refining !== null} className="bg-pink-500 hover:bg-pink-600 rounded-lg p-2 text-white disabled:bg-gray-600">{refining === 'chat' ? <HiArrowPath className="animate-spin h-5 w-5" /> : <HiPaperAirplane className="h-5 w-5" />}</button>
+              </form>
+            </div>
           </div>
         )}
       </div>
 
+      <SavedPlansDrawer isOpen={isDrawerOpen} onClose={() => setIsDrawerOpen(false)} onOpenPlan={handleOpenSavedPlan} activePlanId={planId} />
+
        {/* --- Global Error Toast --- */}
        {error && <div className="absolute bottom-4 left-1/2 -translate-x-1/2 bg-red-500 text-white py-2 px-4 rounded-lg shadow-lg">{error}</div>}
     </main>
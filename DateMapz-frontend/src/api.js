@@ -0,0 +1,81 @@
+// --- Backend API helpers ---
+
+export const API_BASE = 'http://localhost:3000';
+
+// The message from the server's `{ error: { code, message } }` envelope.
+export const errorMessage = (body, status) =>
+  (body && body.error && body.error.message) || `Server error: ${status}`;
+
+const readErrorMessage = async (response) => errorMessage(await response.json().catch(() => null), response.status);
+
+// Fetches JSON from the backend and throws the server's error message on failure.
+export async function fetchJson(path, options = {}) {
+  const response = await fetch(`${API_BASE}${path}`, {
+    ...options,
+    headers: { 'Content-Type': 'application/json', ...options.headers },
+  });
+  if (!response.ok) {
+    throw new Error(await readErrorMessage(response));
+  }
+  return response.status === 204 ? null : response.json();
+}
+
+// Path of the shareable page for a saved plan, and the reverse.
+export const planPath = (id) => `/plan/${encodeURIComponent(id)}`;
+export const planIdFromPath = (pathname) => {
+  const match = pathname.match(/^\/plan\/([^/]+)\/?$/);
+  return match ? decodeURIComponent(match[1]) : null;
+};
+
+// POSTs to a Server-Sent Events endpoint and calls onEvent(event, data) for
+// each event as it arrives. Resolves once the server closes the stream;
+// aborting `signal` stops reading and rejects with an AbortError.
+export async function streamEvents(path, body, onEvent, { signal } = {}) {
+  const response = await fetch(`${API_BASE}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Accept: 'text/event-stream' },
+    body: JSON.stringify(body),
+    signal,
+  });
+  if (!response.ok) {
+    throw new Error(await readErrorMessage(response));
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const block = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+      let event = 'message';
+      let data = '';
+      for (const line of block.split('\n')) {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data += line.slice(5).trim();
+      }
+      if (data) onEvent(event, JSON.parse(data));
+    }
+  }
+}
+
+// Fetches a file from the backend and hands it to the browser as a download.
+export async function downloadFile(path, fileName, options = {}) {
+  const response = await fetch(`${API_BASE}${path}`, {
+    ...options,
+    headers: { 'Content-Type': 'application/json', ...options.headers },
+  });
+  if (!response.ok) {
+    throw new Error(await readErrorMessage(response));
+  }
+  const url = URL.createObjectURL(await response.blob());
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+}
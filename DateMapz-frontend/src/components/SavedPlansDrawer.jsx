@@ -0,0 +1,55 @@
+import { useState, useEffect } from 'react';
+import { HiArrowPath, HiTrash, HiXMark } from 'react-icons/hi2';
+import { fetchJson } from '../api';
+
+// Slide-out list of the plans saved on the server.
+function SavedPlansDrawer({ isOpen, onClose, onOpenPlan, activePlanId }) {
+  const [plans, setPlans] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!isOpen) return;
+    let cancelled = false;
+    setLoading(true); setError('');
+    fetchJson('/api/plans')
+      .then(data => { if (!cancelled) setPlans(data.plans); })
+      .catch(err => { if (!cancelled) setError(err.message); })
+      .finally(() => { if (!cancelled) setLoading(false); });
+    return () => { cancelled = true; };
+  }, [isOpen]);
+
+  const handleDelete = async (id) => {
+    try {
+      await fetchJson(`/api/plans/${encodeURIComponent(id)}`, { method: 'DELETE' });
+      setPlans(current => current.filter(plan => plan.id !== id));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className={`absolute top-0 left-0 z-20 h-full w-full max-w-xs bg-gray-800/90 backdrop-blur-sm shadow-2xl text-white transition-transform duration-500 ease-in-out ${isOpen ? 'translate-x-0' : '-translate-x-full'}`}>
+      <div className="p-6 h-full overflow-y-auto">
+        <button onClick={onClose} className="absolute top-4 right-4 text-gray-400 hover:text-white"><HiXMark className="h-5 w-5" /></button>
+        <h2 className="text-xl font-bold text-pink-400 mb-4">Saved Plans</h2>
+        {loading && <div className="flex justify-center py-4"><HiArrowPath className="animate-spin h-5 w-5" /></div>}
+        {error && <p className="text-sm text-red-400 mb-2">{error}</p>}
+        {!loading && plans.length === 0 && !error && <p className="text-sm text-gray-400">No saved plans yet.</p>}
+        <ul className="space-y-2">
+          {plans.map(plan => (
+            <li key={plan.id} className={`flex items-center gap-2 p-3 rounded-lg ${plan.id === activePlanId ? 'bg-pink-600/60' : 'bg-gray-700/70'}`}>
+              <button onClick={() => onOpenPlan(plan.id)} className="flex-grow text-left">
+                <p className="font-semibold">{plan.planTitle}</p>
+                <p className="text-xs text-gray-400">{plan.stopCount} stops · {new Date(plan.createdAt).toLocaleDateString()}</p>
+              </button>
+              <button onClick={() => handleDelete(plan.id)} title="Delete plan" className="text-gray-400 hover:text-red-400 p-1"><HiTrash className="h-4 w-4" /></button>
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+}
+
+export default SavedPlansDrawer;
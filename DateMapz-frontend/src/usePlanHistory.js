@@ -0,0 +1,34 @@
+import { useState } from 'react';
+
+const MAX_HISTORY = 50;
+
+// Undo/redo for the itinerary editor. Callers pass in snapshots of the plan:
+// `record(current)` before every edit, `undo(current)` / `redo(current)` return
+// the snapshot to restore (or null when there is none).
+export default function usePlanHistory() {
+  const [past, setPast] = useState([]);
+  const [future, setFuture] = useState([]);
+
+  const record = (snapshot) => {
+    setPast(list => [...list.slice(-(MAX_HISTORY - 1)), snapshot]);
+    setFuture([]);
+  };
+
+  const undo = (current) => {
+    if (past.length === 0) return null;
+    setPast(list => list.slice(0, -1));
+    setFuture(list => [...list, current]);
+    return past[past.length - 1];
+  };
+
+  const redo = (current) => {
+    if (future.length === 0) return null;
+    setFuture(list => list.slice(0, -1));
+    setPast(list => [...list, current]);
+    return future[future.length - 1];
+  };
+
+  const reset = () => { setPast([]); setFuture([]); };
+
+  return { canUndo: past.length > 0, canRedo: future.length > 0, record, undo, redo, reset };
+}
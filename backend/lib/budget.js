@@ -0,0 +1,88 @@
+// lib/budget.js
+//
+// Money side of a plan: reading the model's per-stop cost estimates, adding
+// them up against the user's cap, and picking which stops to swap out when
+// the plan runs over.
+
+const PRICE_LEVELS = { 1: 'inexpensive', 2: 'moderate', 3: 'pricey', 4: 'luxury' };
+
+/**
+ * Reads a cost the model may have written as a number or as text like
+ * "₹1,200" or "about 25". Returns null when there's no number in it.
+ */
+function parseCost(value) {
+  if (typeof value === 'number') return Number.isFinite(value) && value >= 0 ? value : null;
+  if (typeof value !== 'string') return null;
+  const match = value.replace(/,/g, '').match(/\d+(?:\.\d+)?/);
+  return match ? Number(match[0]) : null;
+}
+
+/**
+ * Reads a price level of 1-4 (also accepting "$$"-style strings).
+ */
+function parsePriceLevel(value) {
+  if (typeof value === 'string' && /^[$€£₹]+$/.test(value.trim())) value = value.trim().length;
+  const level = Math.round(Number(value));
+  return level >= 1 && level <= 4 ? level : null;
+}
+
+/**
+ * Checks the `budget` and `priceLevel` fields of a request body.
+ * Returns an error message, or null when they're fine (or absent).
+ */
+function checkBudgetInput(budget, priceLevel) {
+  if (budget != null) {
+    if (typeof budget !== 'object') return '"budget" must be an object with "currency" and "maxTotal".';
+    if (typeof budget.currency !== 'string' || !/^[A-Z]{3}$/.test(budget.currency)) {
+      return '"budget.currency" must be a 3-letter currency code such as "INR".';
+    }
+    if (budget.maxTotal != null && !(Number(budget.maxTotal) > 0)) return '"budget.maxTotal" must be a positive number.';
+  }
+  if (priceLevel != null && priceLevel !== '' && parsePriceLevel(priceLevel) == null) {
+    return '"priceLevel" must be between 1 and 4.';
+  }
+  return null;
+}
+
+/**
+ * Adds up the stops' estimated costs against an optional cap.
+ * Stops without an estimate count as 0 but are listed in `unknownCostStops`.
+ */
+function summarizeBudget(stops, { currency, maxTotal } = {}) {
+  const cap = maxTotal != null ? Number(maxTotal) : null;
+  let total = 0;
+  const unknownCostStops = [];
+  for (const stop of stops) {
+    if (stop.estimatedCost == null) unknownCostStops.push(stop.stopNumber);
+    else total += stop.estimatedCost;
+  }
+  total = Math.round(total * 100) / 100;
+  return {
+    currency: currency || null,
+    total,
+    maxTotal: cap,
+    overBy: cap != null && total > cap ? Math.round((total - cap) * 100) / 100 : 0,
+    withinBudget: cap == null || total <= cap,
+    unknownCostStops,
+  };
+}
+
+/**
+ * Picks the fewest, most expensive stops whose removal brings the total under
+ * the cap; those are the ones worth asking the model to replace.
+ */
+function pickStopsToCut(stops, maxTotal) {
+  const summary = summarizeBudget(stops, { maxTotal });
+  if (summary.withinBudget) return [];
+  const byCost = [...stops].filter(s => s.estimatedCost > 0).sort((a, b) => b.estimatedCost - a.estimatedCost);
+  const picked = [];
+  let total = summary.total;
+  for (const stop of byCost) {
+    if (total <= maxTotal) break;
+    picked.push(stop);
+    total -= stop.estimatedCost;
+  }
+  return picked;
+}
+
+module.exports = { PRICE_LEVELS, parseCost, parsePriceLevel, checkBudgetInput, summarizeBudget, pickStopsToCut };
@@ -0,0 +1,72 @@
+// lib/errors.js
+//
+// Every error response has the same JSON body:
+//
+//   { error: { code, message, details? } }
+//
+// where `code` is a stable machine-readable string (see ERROR_CODES) and
+// `message` is meant for people.
+
+const ERROR_CODES = {
+  400: 'invalid_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  413: 'payload_too_large',
+  422: 'unprocessable',
+  429: 'rate_limited',
+  503: 'unavailable',
+};
+
+/**
+ * An error that maps to a specific HTTP status. Route handlers answer with
+ * `error.status` when it's set and fall back to 500 otherwise.
+ */
+class HttpError extends Error {
+  constructor(status, message, { code, details } = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.code = code || ERROR_CODES[status] || 'error';
+    if (details) this.details = details;
+  }
+}
+
+/**
+ * A geocoding lookup that didn't produce a result. `code` says why:
+ *
+ *   'not_found'    the provider answered, but knows no such place (422)
+ *   'unavailable'  the provider couldn't be reached or refused the request (503)
+ */
+class GeocodingError extends HttpError {
+  constructor(code, message, { provider, cause } = {}) {
+    super(code === 'not_found' ? 422 : 503, message);
+    this.name = 'GeocodingError';
+    this.code = code;
+    this.provider = provider;
+    if (cause) this.cause = cause;
+  }
+}
+
+/**
+ * The error envelope for any thrown error. Errors that aren't HttpErrors are
+ * reported as `internal_error`.
+ */
+function errorBody(error) {
+  const known = error instanceof HttpError;
+  const body = {
+    code: known ? error.code : 'internal_error',
+    message: error.message || 'An unexpected error occurred.',
+  };
+  if (known && error.details) body.details = error.details;
+  return { error: body };
+}
+
+/**
+ * Answers a request with `error` in the standard envelope.
+ */
+function sendError(res, error) {
+  res.status(error.status || 500).json(errorBody(error));
+}
+
+module.exports = { ERROR_CODES, HttpError, GeocodingError, errorBody, sendError };
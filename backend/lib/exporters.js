@@ -0,0 +1,202 @@
+// lib/exporters.js
+//
+// Serializers for the `{ planTitle, stops }` plan shape: iCalendar for
+// calendars, GPX for GPS apps and KML for Google Earth / My Maps.
+
+const { parseClockTime, parseDuration } = require('./schedule');
+const { decodePolyline } = require('./polyline');
+
+const MINUTES_PER_DAY = 24 * 60;
+const DEFAULT_DURATION_MINUTES = 60;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * Makes a file-name-safe slug out of the plan title.
+ */
+function planFileName(plan, extension) {
+  const slug = (plan.planTitle || 'date-plan').normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return `${slug || 'date-plan'}.${extension}`;
+}
+
+/**
+ * Every point the plan passes through, in order: the leg polylines where we
+ * have them, straight lines between stops where we don't. A polyline already
+ * ends at the next stop, so that stop (or the first point of its own leg)
+ * isn't added again.
+ */
+function routePoints(stops) {
+  const legPolyline = (i) => i < stops.length - 1 && stops[i].travelToNext && stops[i].travelToNext.polyline;
+  const points = [];
+  stops.forEach((stop, i) => {
+    const arrivedByLeg = i > 0 && Boolean(legPolyline(i - 1));
+    const polyline = legPolyline(i);
+    if (polyline) {
+      points.push(...decodePolyline(polyline).slice(arrivedByLeg ? 1 : 0));
+    } else if (!arrivedByLeg) {
+      points.push({ lat: Number(stop.lat), lng: Number(stop.lng) });
+    }
+  });
+  return points;
+}
+
+// --- iCalendar ---
+
+const escapeIcsText = (text) => String(text || '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space.
+function foldIcsLine(line) {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+  const parts = [];
+  let start = 0;
+  while (start < bytes.length) {
+    let end = Math.min(start + (start === 0 ? 75 : 74), bytes.length);
+    while (end < bytes.length && (bytes[end] & 0xc0) === 0x80) end--; // don't split a UTF-8 character
+    parts.push(bytes.subarray(start, end).toString('utf8'));
+    start = end;
+  }
+  return parts.join('\r\n ');
+}
+
+const formatIcsDateTime = (date) =>
+  `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}T${pad(date.getHours())}${pad(date.getMinutes())}00`;
+
+const formatIcsUtc = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * One VEVENT per stop. Times are "floating" (no time zone), i.e. local to
+ * wherever the calendar is, which is what a plan for a given city means.
+ *
+ * @param {object} plan
+ * @param {object} [options]
+ * @param {string} [options.date]  Day of the outing, "YYYY-MM-DD". Defaults to today.
+ * @param {string} [options.uidPrefix]  Stable prefix for event UIDs, e.g. the saved plan id.
+ */
+function toICalendar(plan, { date, uidPrefix } = {}) {
+  const day = date && /^\d{4}-\d{2}-\d{2}$/.test(date) ? new Date(`${date}T00:00:00`) : new Date();
+  day.setHours(0, 0, 0, 0);
+  const stamp = formatIcsUtc(new Date());
+  const prefix = uidPrefix || `plan-${Date.now().toString(36)}`;
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//DateMapz//AI Date Planner//EN',
+    'CALSCALE:GREGORIAN',
+    `X-WR-CALNAME:${escapeIcsText(plan.planTitle)}`,
+  ];
+
+  let dayOffset = 0;
+  let previousStart = -1;
+  for (const stop of plan.stops) {
+    const start = parseClockTime(stop.startTime);
+    if (start == null) continue; // can't place it on a calendar
+    if (start < previousStart) dayOffset += MINUTES_PER_DAY; // the plan ran past midnight
+    previousStart = start;
+
+    const duration = stop.durationMinutes || parseDuration(stop.duration) || DEFAULT_DURATION_MINUTES;
+    const startsAt = new Date(day.getTime());
+    startsAt.setMinutes(dayOffset + start);
+
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${prefix}-${stop.stopNumber}@datemapz`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${formatIcsDateTime(startsAt)}`,
+      `DURATION:PT${duration}M`,
+      `SUMMARY:${escapeIcsText(`${stop.stopNumber}. ${stop.name}`)}`,
+      `LOCATION:${escapeIcsText(stop.address)}`,
+      `DESCRIPTION:${escapeIcsText(stop.description)}`,
+      `GEO:${Number(stop.lat).toFixed(6)};${Number(stop.lng).toFixed(6)}`,
+      `CATEGORIES:${escapeIcsText(stop.type)}`,
+      'END:VEVENT'
+    );
+  }
+  lines.push('END:VCALENDAR');
+  return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+// --- GPX / KML ---
+
+const escapeXml = (text) => String(text == null ? '' : text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+/**
+ * GPX 1.1: a waypoint per stop, a route through the stops in order and a
+ * track following the computed travel legs.
+ */
+function toGpx(plan) {
+  const stops = plan.stops;
+  const point = (tag, stop) => [
+    `  <${tag} lat="${Number(stop.lat)}" lon="${Number(stop.lng)}">`,
+    `    <name>${escapeXml(`${stop.stopNumber}. ${stop.name}`)}</name>`,
+    `    <desc>${escapeXml(stop.description)}</desc>`,
+    `    <type>${escapeXml(stop.type)}</type>`,
+    `  </${tag}>`,
+  ].join('\n');
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="DateMapz" xmlns="http://www.topografix.com/GPX/1/1">',
+    `  <metadata><name>${escapeXml(plan.planTitle)}</name></metadata>`,
+    ...stops.map(stop => point('wpt', stop)),
+    '  <rte>',
+    `    <name>${escapeXml(plan.planTitle)}</name>`,
+    ...stops.map(stop => point('rtept', stop).replace(/^/gm, '  ')),
+    '  </rte>',
+    '  <trk>',
+    `    <name>${escapeXml(plan.planTitle)}</name>`,
+    '    <trkseg>',
+    ...routePoints(stops).map(p => `      <trkpt lat="${p.lat}" lon="${p.lng}"/>`),
+    '    </trkseg>',
+    '  </trk>',
+    '</gpx>',
+    '',
+  ].join('\n');
+}
+
+/**
+ * KML 2.2: a placemark per stop and a line along the route.
+ */
+function toKml(plan) {
+  const coords = (p) => `${Number(p.lng)},${Number(p.lat)},0`;
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '  <Document>',
+    `    <name>${escapeXml(plan.planTitle)}</name>`,
+    '    <Style id="route"><LineStyle><color>ffb469f4</color><width>4</width></LineStyle></Style>',
+    ...plan.stops.map(stop => [
+      '    <Placemark>',
+      `      <name>${escapeXml(`${stop.stopNumber}. ${stop.name}`)}</name>`,
+      `      <description>${escapeXml([stop.startTime && `${stop.startTime} (${stop.duration})`, stop.address, stop.description].filter(Boolean).join('\n'))}</description>`,
+      `      <Point><coordinates>${coords(stop)}</coordinates></Point>`,
+      '    </Placemark>',
+    ].join('\n')),
+    '    <Placemark>',
+    '      <name>Route</name>',
+    '      <styleUrl>#route</styleUrl>',
+    `      <LineString><tessellate>1</tessellate><coordinates>${routePoints(plan.stops).map(coords).join(' ')}</coordinates></LineString>`,
+    '    </Placemark>',
+    '  </Document>',
+    '</kml>',
+    '',
+  ].join('\n');
+}
+
+const EXPORT_FORMATS = {
+  ics: { contentType: 'text/calendar; charset=utf-8', serialize: toICalendar },
+  gpx: { contentType: 'application/gpx+xml; charset=utf-8', serialize: toGpx },
+  kml: { contentType: 'application/vnd.google-earth.kml+xml; charset=utf-8', serialize: toKml },
+};
+
+module.exports = { EXPORT_FORMATS, planFileName, toICalendar, toGpx, toKml };
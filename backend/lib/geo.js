@@ -0,0 +1,36 @@
+// lib/geo.js
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (deg) => (deg * Math.PI) / 180;
+
+/**
+ * Great-circle distance in kilometres between two { lat, lng } points.
+ */
+function haversineKm(a, b) {
+  const dLat = toRadians(b.lat - a.lat);
+  const dLng = toRadians(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Component-wise median of a list of points. Used as the "area" of a plan when
+ * the request didn't resolve to a location (Simple Mode), since a single
+ * stray stop can't drag it off the way it would a mean.
+ */
+function medianPoint(points) {
+  if (points.length === 0) return null;
+  const median = (values) => {
+    const sorted = [...values].sort((x, y) => x - y);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  };
+  return { lat: median(points.map(p => p.lat)), lng: median(points.map(p => p.lng)) };
+}
+
+const isValidLatLng = (lat, lng) =>
+  Number.isFinite(lat) && Number.isFinite(lng) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+
+module.exports = { haversineKm, medianPoint, isValidLatLng };
@@ -0,0 +1,78 @@
+// lib/geocoding/cache.js
+//
+// Small LRU cache with a per-entry TTL, optionally mirrored to a JSON file so
+// lookups survive a restart. A Map keeps insertion order, so re-inserting an
+// entry on every hit is enough to make the first key the least recently used.
+
+const fs = require('fs/promises');
+const fsSync = require('fs');
+const path = require('path');
+
+const PERSIST_DELAY_MS = 2000;
+
+/**
+ * @param {object} [options]
+ * @param {number} [options.maxEntries]
+ * @param {number} [options.ttlMs]
+ * @param {string} [options.filePath]  When set, the cache is loaded from and written back to this file.
+ */
+function createLruCache({ maxEntries = 1000, ttlMs = 7 * 24 * 60 * 60 * 1000, filePath } = {}) {
+  const entries = new Map(); // key -> { value, expiresAt }
+  let persistTimer = null;
+
+  if (filePath) {
+    try {
+      const now = Date.now();
+      for (const [key, entry] of JSON.parse(fsSync.readFileSync(filePath, 'utf8'))) {
+        if (entry.expiresAt > now) entries.set(key, entry);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error(`Ignoring unreadable geocoding cache ${filePath}:`, error.message);
+    }
+  }
+
+  // Writes are batched: one file write at most every PERSIST_DELAY_MS
+  function schedulePersist() {
+    if (!filePath || persistTimer) return;
+    persistTimer = setTimeout(() => {
+      persistTimer = null;
+      flush().catch(error => console.error('Could not write the geocoding cache:', error.message));
+    }, PERSIST_DELAY_MS);
+    persistTimer.unref();
+  }
+
+  async function flush() {
+    if (!filePath) return;
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify([...entries]));
+    await fs.rename(tmpPath, filePath);
+  }
+
+  return {
+    /** The cached value, or undefined when missing or expired. */
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      entries.delete(key);
+      if (entry.expiresAt <= Date.now()) {
+        schedulePersist();
+        return undefined;
+      }
+      entries.set(key, entry);
+      return entry.value;
+    },
+    set(key, value, { ttl = ttlMs } = {}) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttl });
+      while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+      schedulePersist();
+    },
+    get size() {
+      return entries.size;
+    },
+    flush,
+  };
+}
+
+module.exports = { createLruCache };
@@ -0,0 +1,48 @@
+// lib/geocoding/fixture.js
+//
+// Answers from a static list of places instead of a live service, so the
+// planner can run offline and in tests. A fixture file looks like:
+//
+//   { "places": [
+//       { "name": "Candies", "aliases": [], "lat": 19.06, "lng": 72.83,
+//         "displayName": "...", "area": "Bandra West", "city": "Mumbai", "openingHours": "..." }
+//   ] }
+
+const fs = require('fs');
+const path = require('path');
+const { haversineKm } = require('../geo');
+const { normalizeName } = require('../stopValidation');
+
+const DEFAULT_FIXTURES = path.join(__dirname, '..', '..', 'fixtures', 'geocoding', 'places.json');
+const REVERSE_RADIUS_KM = 5;
+
+const toResult = ({ lat, lng, displayName, area = null, city = null, openingHours }) => ({ lat, lng, displayName, area, city, openingHours });
+
+function createFixtureProvider({ fixturesPath = DEFAULT_FIXTURES, places } = {}) {
+  const list = places || JSON.parse(fs.readFileSync(fixturesPath, 'utf8')).places;
+  const byName = (query) => {
+    const wanted = normalizeName(query);
+    return list.filter(place => [place.name, ...(place.aliases || [])].some(name => normalizeName(name) === wanted));
+  };
+  const nearest = (candidates, point) =>
+    candidates.map(place => ({ place, km: haversineKm(point, place) })).sort((a, b) => a.km - b.km)[0];
+
+  return {
+    name: 'fixture',
+    minIntervalMs: 0,
+    async geocode(query) {
+      const [place] = byName(query);
+      return place ? toResult(place) : null;
+    },
+    async reverse(point) {
+      const match = nearest(list, point);
+      return match && match.km <= REVERSE_RADIUS_KM ? toResult(match.place) : null;
+    },
+    async findPlace(name, { near, radiusKm }) {
+      const match = nearest(byName(name), near);
+      return match && match.km <= radiusKm ? toResult(match.place) : null;
+    },
+  };
+}
+
+module.exports = { createFixtureProvider };
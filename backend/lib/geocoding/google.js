@@ -0,0 +1,62 @@
+// lib/geocoding/google.js
+//
+// Google Geocoding and Places (Find Place) through the official client.
+// Needs GOOGLE_MAPS_API_KEY with both APIs enabled.
+
+const { Client } = require('@googlemaps/google-maps-services-js');
+
+const component = (result, ...types) => {
+  const match = (result.address_components || []).find(c => types.some(type => c.types.includes(type)));
+  return match ? match.long_name : null;
+};
+
+const toResult = (result) => ({
+  lat: result.geometry.location.lat,
+  lng: result.geometry.location.lng,
+  displayName: result.formatted_address || result.name,
+  area: component(result, 'sublocality', 'neighborhood', 'route'),
+  city: component(result, 'locality', 'postal_town'),
+});
+
+function createGoogleProvider({ apiKey, minIntervalMs = 50, client = new Client({}) } = {}) {
+  if (!apiKey) throw new Error('GOOGLE_MAPS_API_KEY is required for the Google geocoder.');
+
+  // Google answers "no such place" as ZERO_RESULTS (or a 404), which is a null, not a failure
+  async function call(request) {
+    try {
+      const { data } = await request;
+      return data.results || data.candidates || [];
+    } catch (error) {
+      if (error.response && error.response.status === 404) return [];
+      throw new Error((error.response && error.response.data && error.response.data.error_message) || error.message);
+    }
+  }
+
+  return {
+    name: 'google',
+    minIntervalMs,
+    async geocode(query) {
+      const [result] = await call(client.geocode({ params: { address: query, key: apiKey }, timeout: 10000 }));
+      return result ? toResult(result) : null;
+    },
+    async reverse({ lat, lng }) {
+      const [result] = await call(client.reverseGeocode({ params: { latlng: { lat, lng }, key: apiKey }, timeout: 10000 }));
+      return result ? toResult(result) : null;
+    },
+    async findPlace(name, { near, radiusKm }) {
+      const [candidate] = await call(client.findPlaceFromText({
+        params: {
+          input: name,
+          inputtype: 'textquery',
+          fields: ['name', 'formatted_address', 'geometry'],
+          locationbias: `circle:${Math.round(radiusKm * 1000)}@${near.lat},${near.lng}`,
+          key: apiKey,
+        },
+        timeout: 10000,
+      }));
+      return candidate ? toResult(candidate) : null;
+    },
+  };
+}
+
+module.exports = { createGoogleProvider };
@@ -0,0 +1,118 @@
+// lib/geocoding/index.js
+//
+// Turning names into coordinates and back. Every provider implements:
+//
+//   {
+//     name: string,
+//     minIntervalMs: number,                          // the provider's rate limit
+//     geocode(query)              -> Promise<place | null>
+//     reverse({ lat, lng })       -> Promise<place | null>
+//     findPlace(name, { near, radiusKm }) -> Promise<place | null>
+//   }
+//
+// where a place is { lat, lng, displayName, area, city, openingHours? }.
+// Providers answer null for "no such place" and throw when the service itself
+// fails. The geocoder built around them adds the cache and the rate-limited
+// queue, and turns both outcomes into a GeocodingError the caller can tell apart.
+
+const path = require('path');
+const { GeocodingError } = require('../errors');
+const { createLruCache } = require('./cache');
+const { createRateLimitedQueue } = require('./rateLimit');
+const { createNominatimProvider } = require('./nominatim');
+const { createGoogleProvider } = require('./google');
+const { createFixtureProvider } = require('./fixture');
+
+const NOT_FOUND_TTL_MS = 60 * 60 * 1000; // misses are cached too, but not for as long
+const DEFAULT_SEARCH_RADIUS_KM = 5;
+
+const normalizeQuery = (query) => String(query).trim().toLowerCase().replace(/\s+/g, ' ');
+const roundCoord = (value) => Number(value).toFixed(4); // ~11 m, so nearby lookups share an entry
+
+/**
+ * Wraps a provider with a cache and a queue that enforces its rate limit.
+ *
+ * @param {object} provider
+ * @param {object} [options]
+ * @param {object} [options.cache]  Anything with get/set, e.g. createLruCache().
+ * @param {number} [options.minIntervalMs]  Overrides the provider's own limit.
+ */
+function createCachedGeocoder(provider, { cache = createLruCache(), minIntervalMs = provider.minIntervalMs || 0 } = {}) {
+  const queue = createRateLimitedQueue({ minIntervalMs });
+
+  async function lookup(cacheKey, call, notFoundMessage) {
+    const key = `${provider.name}:${cacheKey}`;
+    let place = cache.get(key);
+    if (place === undefined) {
+      try {
+        place = await queue.schedule(call);
+      } catch (error) {
+        throw new GeocodingError('unavailable', `The ${provider.name} geocoder is unavailable (${error.message}).`, { provider: provider.name, cause: error });
+      }
+      cache.set(key, place, place ? {} : { ttl: NOT_FOUND_TTL_MS });
+    }
+    if (!place) throw new GeocodingError('not_found', notFoundMessage, { provider: provider.name });
+    return place;
+  }
+
+  return {
+    name: provider.name,
+    get pending() {
+      return queue.pending;
+    },
+    geocode(query) {
+      return lookup(`geocode:${normalizeQuery(query)}`, () => provider.geocode(query), `Could not find a location called "${query}".`);
+    },
+    reverse({ lat, lng }) {
+      return lookup(`reverse:${roundCoord(lat)},${roundCoord(lng)}`, () => provider.reverse({ lat, lng }), `Nothing is known at ${lat}, ${lng}.`);
+    },
+    findPlace(name, { near, radiusKm = DEFAULT_SEARCH_RADIUS_KM }) {
+      return lookup(
+        `place:${normalizeQuery(name)}@${roundCoord(near.lat)},${roundCoord(near.lng)}~${radiusKm}`,
+        () => provider.findPlace(name, { near, radiusKm }),
+        `Could not find "${name}" within ${radiusKm} km.`
+      );
+    },
+  };
+}
+
+/**
+ * Picks the provider from env config: GEOCODER = nominatim (default) | google | fixture.
+ * GEOCODE_CACHE_FILE (default backend/data/geocode-cache.json, "off" to keep it
+ * in memory), GEOCODE_CACHE_SIZE and GEOCODE_CACHE_TTL_HOURS tune the cache.
+ * With `metrics` (lib/metrics.js), calls that reach the provider are timed;
+ * cache hits aren't.
+ */
+function createGeocoder(env = process.env, { metrics } = {}) {
+  let provider;
+  switch ((env.GEOCODER || 'nominatim').toLowerCase()) {
+    case 'nominatim':
+      provider = createNominatimProvider({ baseUrl: env.NOMINATIM_URL || undefined });
+      break;
+    case 'google':
+      provider = createGoogleProvider({ apiKey: env.GOOGLE_MAPS_API_KEY });
+      break;
+    case 'fixture':
+      provider = createFixtureProvider({ fixturesPath: env.GEOCODING_FIXTURES || undefined });
+      break;
+    default:
+      throw new Error(`Unknown GEOCODER "${env.GEOCODER}".`);
+  }
+  if (metrics) provider = metrics.instrument('geocoder', provider, ['geocode', 'reverse', 'findPlace']);
+
+  const cacheFile = env.GEOCODE_CACHE_FILE || path.join(__dirname, '..', '..', 'data', 'geocode-cache.json');
+  const cache = createLruCache({
+    maxEntries: Number(env.GEOCODE_CACHE_SIZE) || undefined,
+    ttlMs: env.GEOCODE_CACHE_TTL_HOURS ? Number(env.GEOCODE_CACHE_TTL_HOURS) * 60 * 60 * 1000 : undefined,
+    filePath: cacheFile === 'off' ? undefined : cacheFile,
+  });
+  return createCachedGeocoder(provider, { cache });
+}
+
+module.exports = {
+  createGeocoder,
+  createCachedGeocoder,
+  createNominatimProvider,
+  createGoogleProvider,
+  createFixtureProvider,
+};
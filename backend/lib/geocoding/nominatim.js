@@ -0,0 +1,47 @@
+// lib/geocoding/nominatim.js
+//
+// OpenStreetMap's Nominatim. The public server allows at most one request per
+// second and requires an identifying User-Agent; point NOMINATIM_URL at a
+// self-hosted instance to lift the limit.
+
+const axios = require('axios');
+
+const toResult = (place) => {
+  const address = place.address || {};
+  return {
+    lat: parseFloat(place.lat),
+    lng: parseFloat(place.lon),
+    displayName: place.display_name,
+    area: address.suburb || address.neighbourhood || address.road || null,
+    city: address.city || address.town || address.village || null,
+    openingHours: (place.extratags && place.extratags.opening_hours) || undefined,
+  };
+};
+
+function createNominatimProvider({ baseUrl = 'https://nominatim.openstreetmap.org', userAgent = 'AI-Date-Planner-Server', minIntervalMs = 1000 } = {}) {
+  const client = axios.create({ baseURL: baseUrl, headers: { 'User-Agent': userAgent }, timeout: 10000 });
+
+  async function search(params) {
+    const { data } = await client.get('/search', { params: { format: 'json', limit: 1, addressdetails: 1, ...params } });
+    return data && data.length > 0 ? toResult(data[0]) : null;
+  }
+
+  return {
+    name: 'nominatim',
+    minIntervalMs,
+    geocode(query) {
+      return search({ q: query });
+    },
+    async reverse({ lat, lng }) {
+      const { data } = await client.get('/reverse', { params: { format: 'json', lat, lon: lng, zoom: 16 } });
+      return data && !data.error ? toResult(data) : null;
+    },
+    findPlace(name, { near, radiusKm }) {
+      const d = radiusKm / 111; // degrees of latitude, near enough for a search box
+      const viewbox = [near.lng - d, near.lat + d, near.lng + d, near.lat - d].join(',');
+      return search({ q: name, extratags: 1, viewbox, bounded: 1 });
+    },
+  };
+}
+
+module.exports = { createNominatimProvider };
@@ -0,0 +1,42 @@
+// lib/geocoding/rateLimit.js
+//
+// Request queue that keeps calls to one provider at least `minIntervalMs`
+// apart, e.g. Nominatim's "at most 1 request per second". Calls run one at a
+// time in the order they were queued.
+
+/**
+ * @param {object} options
+ * @param {number} options.minIntervalMs  Minimum gap between the start of two calls.
+ * @returns {{ schedule: (task: () => Promise<T>) => Promise<T>, readonly pending: number }}
+ */
+function createRateLimitedQueue({ minIntervalMs }) {
+  let tail = Promise.resolve();
+  let lastStartedAt = 0;
+  let pending = 0;
+
+  const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+  return {
+    schedule(task) {
+      pending++;
+      const run = tail.then(async () => {
+        const delay = lastStartedAt + minIntervalMs - Date.now();
+        if (delay > 0) await wait(delay);
+        lastStartedAt = Date.now();
+        try {
+          return await task();
+        } finally {
+          pending--;
+        }
+      });
+      // A failed call must not stall the calls queued behind it
+      tail = run.catch(() => {});
+      return run;
+    },
+    get pending() {
+      return pending;
+    },
+  };
+}
+
+module.exports = { createRateLimitedQueue };
@@ -0,0 +1,38 @@
+// lib/llm/gemini.js
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+const toResult = (response) => ({
+  text: response.text() || '',
+  functionCalls: (response.functionCalls() || []).map(fn => ({ name: fn.name, args: fn.args || {} })),
+});
+
+/**
+ * Google Gemini through the official SDK.
+ */
+function createGeminiProvider({ apiKey, model = 'gemini-1.5-flash' }) {
+  const genAI = new GoogleGenerativeAI(apiKey);
+  return {
+    name: 'gemini',
+    model,
+    createSession({ systemInstruction, tools = [] }) {
+      const generativeModel = genAI.getGenerativeModel({
+        model,
+        systemInstruction,
+        tools: tools.length ? [{ functionDeclarations: tools }] : undefined,
+      });
+      return {
+        async generate(message) {
+          const result = await generativeModel.generateContent(message);
+          return toResult(result.response);
+        },
+        async *generateStream(message) {
+          const result = await generativeModel.generateContentStream(message);
+          for await (const chunk of result.stream) yield toResult(chunk);
+        },
+      };
+    },
+  };
+}
+
+module.exports = { createGeminiProvider };
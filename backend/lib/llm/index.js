@@ -0,0 +1,38 @@
+// lib/llm/index.js
+//
+// Every LLM provider exposes the same small surface, so the planner doesn't
+// care which model is behind it:
+//
+//   provider.createSession({ systemInstruction, tools }) -> session
+//   session.generate(message)       -> Promise<{ text, functionCalls: [{ name, args }] }>
+//   session.generateStream(message) -> AsyncIterable<{ text, functionCalls }>
+//
+// `tools` are plain function declarations: { name, description, parameters }
+// with `parameters` as a JSON-schema-style object.
+
+const { createGeminiProvider } = require('./gemini');
+const { createOpenAiProvider } = require('./openai');
+const { createMockProvider } = require('./mock');
+
+/**
+ * Picks the provider from env config: LLM_PROVIDER = gemini (default) | openai | mock,
+ * with LLM_MODEL overriding the provider's default model.
+ */
+function createLlmProvider(env = process.env) {
+  switch ((env.LLM_PROVIDER || 'gemini').toLowerCase()) {
+    case 'gemini':
+      return createGeminiProvider({ apiKey: env.GEMINI_API_KEY, model: env.LLM_MODEL || undefined });
+    case 'openai':
+      return createOpenAiProvider({
+        baseUrl: env.OPENAI_BASE_URL || undefined,
+        apiKey: env.OPENAI_API_KEY,
+        model: env.LLM_MODEL || undefined,
+      });
+    case 'mock':
+      return createMockProvider({ fixturesPath: env.MOCK_LLM_FIXTURES || undefined });
+    default:
+      throw new Error(`Unknown LLM_PROVIDER "${env.LLM_PROVIDER}".`);
+  }
+}
+
+module.exports = { createLlmProvider, createGeminiProvider, createOpenAiProvider, createMockProvider };
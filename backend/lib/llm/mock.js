@@ -0,0 +1,54 @@
+// lib/llm/mock.js
+//
+// Deterministic provider that answers from a fixture file instead of a model,
+// so the planner can run offline and in tests. A fixture file looks like:
+//
+//   { "responses": [
+//       { "name": "replacement", "match": "could not be used", "text": "", "functionCalls": [...] },
+//       { "name": "plan", "text": "A Title", "functionCalls": [...] }
+//   ] }
+//
+// `match` is tested against the user message and `matchSystem` against the
+// system instruction (both as case-insensitive regexes). The first response
+// whose patterns all match wins; one without patterns matches anything.
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FIXTURES = path.join(__dirname, '..', '..', 'fixtures', 'llm', 'mock-responses.json');
+
+function createMockProvider({ fixturesPath = DEFAULT_FIXTURES, fixtures } = {}) {
+  const { responses } = fixtures || JSON.parse(fs.readFileSync(fixturesPath, 'utf8'));
+  const calls = [];
+
+  function respond(systemInstruction, message) {
+    calls.push({ systemInstruction, message });
+    const response = responses.find(r =>
+      (!r.match || new RegExp(r.match, 'i').test(message))
+      && (!r.matchSystem || new RegExp(r.matchSystem, 'i').test(systemInstruction))
+    );
+    if (!response) throw new Error(`Mock LLM has no fixture matching "${message.slice(0, 60)}".`);
+    // Copies, so callers can't mutate the fixtures between calls
+    return JSON.parse(JSON.stringify({ text: response.text || '', functionCalls: response.functionCalls || [] }));
+  }
+
+  return {
+    name: 'mock',
+    model: 'fixtures',
+    calls, // every { systemInstruction, message } seen, for assertions
+    createSession({ systemInstruction }) {
+      return {
+        async generate(message) {
+          return respond(systemInstruction, message);
+        },
+        async *generateStream(message) {
+          const { text, functionCalls } = respond(systemInstruction, message);
+          if (text) yield { text, functionCalls: [] };
+          for (const fn of functionCalls) yield { text: '', functionCalls: [fn] };
+        },
+      };
+    },
+  };
+}
+
+module.exports = { createMockProvider };
@@ -0,0 +1,98 @@
+// lib/llm/openai.js
+//
+// Any endpoint that speaks the OpenAI chat completions API with tool calling:
+// OpenAI itself, a local Ollama (OPENAI_BASE_URL=http://localhost:11434/v1),
+// LM Studio, vLLM and so on.
+
+const axios = require('axios');
+
+const toOpenAiTools = (tools) => tools.map(tool => ({ type: 'function', function: tool }));
+
+function parseArguments(raw) {
+  if (!raw) return {};
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return {}; // a malformed call fails stop validation like any other bad args
+  }
+}
+
+/**
+ * Splits a streamed HTTP body into the JSON payloads of its `data:` lines.
+ */
+async function* readEventData(body) {
+  let buffer = '';
+  for await (const chunk of body) {
+    buffer += chunk.toString('utf8');
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newline).trim();
+      buffer = buffer.slice(newline + 1);
+      if (!line.startsWith('data:')) continue;
+      const data = line.slice(5).trim();
+      if (data === '[DONE]') return;
+      yield JSON.parse(data);
+    }
+  }
+}
+
+function createOpenAiProvider({ baseUrl = 'https://api.openai.com/v1', apiKey, model = 'gpt-4o-mini' }) {
+  const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+
+  const requestBody = (systemInstruction, tools, message, stream) => ({
+    model,
+    stream,
+    messages: [
+      { role: 'system', content: systemInstruction },
+      { role: 'user', content: message },
+    ],
+    ...(tools.length ? { tools: toOpenAiTools(tools), tool_choice: 'auto' } : {}),
+  });
+
+  return {
+    name: 'openai',
+    model,
+    createSession({ systemInstruction, tools = [] }) {
+      return {
+        async generate(message) {
+          const response = await axios.post(`${baseUrl}/chat/completions`, requestBody(systemInstruction, tools, message, false), { headers });
+          const reply = response.data.choices[0].message;
+          return {
+            text: reply.content || '',
+            functionCalls: (reply.tool_calls || []).map(call => ({
+              name: call.function.name,
+              args: parseArguments(call.function.arguments),
+            })),
+          };
+        },
+        // Text is passed on as it arrives; a tool call is yielded once the
+        // stream has moved on to the next one, since its arguments arrive in pieces.
+        async *generateStream(message) {
+          const response = await axios.post(
+            `${baseUrl}/chat/completions`,
+            requestBody(systemInstruction, tools, message, true),
+            { headers, responseType: 'stream' }
+          );
+          let pending = null;
+          for await (const event of readEventData(response.data)) {
+            const delta = event.choices && event.choices[0] && event.choices[0].delta;
+            if (!delta) continue;
+            if (delta.content) yield { text: delta.content, functionCalls: [] };
+            for (const part of delta.tool_calls || []) {
+              if (pending && part.index !== pending.index) {
+                yield { text: '', functionCalls: [{ name: pending.name, args: parseArguments(pending.arguments) }] };
+                pending = null;
+              }
+              if (!pending) pending = { index: part.index, name: '', arguments: '' };
+              if (part.function && part.function.name) pending.name += part.function.name;
+              if (part.function && part.function.arguments) pending.arguments += part.function.arguments;
+            }
+          }
+          if (pending) yield { text: '', functionCalls: [{ name: pending.name, args: parseArguments(pending.arguments) }] };
+        },
+      };
+    },
+  };
+}
+
+module.exports = { createOpenAiProvider };
@@ -0,0 +1,99 @@
+// lib/metrics.js
+//
+// In-process numbers for /api/metrics: how often each upstream service (LLM,
+// geocoder, routing, weather) is called, how often it fails and how long it
+// takes. Latency percentiles come from the most recent calls only.
+
+const SAMPLE_SIZE = 200;
+
+const percentile = (sorted, p) => (sorted.length ? sorted[Math.min(sorted.length - 1, Math.floor((p / 100) * sorted.length))] : null);
+
+function createMetrics({ sampleSize = SAMPLE_SIZE } = {}) {
+  const startedAt = Date.now();
+  const upstreams = new Map(); // name -> { calls, errors, samples }
+
+  const record = (name, ms, failed) => {
+    let upstream = upstreams.get(name);
+    if (!upstream) {
+      upstream = { calls: 0, errors: 0, samples: [] };
+      upstreams.set(name, upstream);
+    }
+    upstream.calls++;
+    if (failed) upstream.errors++;
+    upstream.samples.push(ms);
+    if (upstream.samples.length > sampleSize) upstream.samples.shift();
+  };
+
+  const metrics = {
+    /** Runs `task` and records how long it took under `name`. */
+    async time(name, task) {
+      const start = Date.now();
+      try {
+        const result = await task();
+        record(name, Date.now() - start, false);
+        return result;
+      } catch (error) {
+        record(name, Date.now() - start, true);
+        throw error;
+      }
+    },
+
+    /** Passes an async iterable through, recording the time until it's used up. */
+    async *timeStream(name, iterable) {
+      const start = Date.now();
+      try {
+        yield* iterable;
+        record(name, Date.now() - start, false);
+      } catch (error) {
+        record(name, Date.now() - start, true);
+        throw error;
+      }
+    },
+
+    /**
+     * A stand-in for `target` whose `methods` are timed under `name`. Every
+     * other property (getters included) still comes from `target`.
+     */
+    instrument(name, target, methods) {
+      const wrapped = Object.create(target);
+      for (const method of methods) {
+        wrapped[method] = (...args) => metrics.time(name, () => target[method](...args));
+      }
+      return wrapped;
+    },
+
+    snapshot() {
+      const result = {};
+      for (const [name, { calls, errors, samples }] of upstreams) {
+        const sorted = [...samples].sort((a, b) => a - b);
+        result[name] = {
+          calls,
+          errors,
+          avgMs: sorted.length ? Math.round(sorted.reduce((sum, ms) => sum + ms, 0) / sorted.length) : null,
+          p50Ms: percentile(sorted, 50),
+          p95Ms: percentile(sorted, 95),
+          maxMs: sorted.length ? sorted[sorted.length - 1] : null,
+        };
+      }
+      return { uptimeSeconds: Math.round((Date.now() - startedAt) / 1000), upstreams: result };
+    },
+  };
+  return metrics;
+}
+
+/**
+ * Times every model call an LLM provider's sessions make, under `name`.
+ */
+function instrumentLlmProvider(provider, metrics, name = 'llm') {
+  const wrapped = Object.create(provider);
+  wrapped.createSession = (options) => {
+    const session = provider.createSession(options);
+    return {
+      generate: (message) => metrics.time(name, () => session.generate(message)),
+      generateStream: (message) => metrics.timeStream(name, session.generateStream(message)),
+    };
+  };
+  return wrapped;
+}
+
+module.exports = { createMetrics, instrumentLlmProvider };
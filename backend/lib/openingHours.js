@@ -0,0 +1,94 @@
+// lib/openingHours.js
+//
+// A deliberately small reader for OpenStreetMap `opening_hours` strings. It
+// understands the forms that cover most venues:
+//
+//   "24/7"
+//   "09:00-22:00"
+//   "Mo-Fr 09:00-18:00; Sa,Su 10:00-14:00"
+//   "Tu-Su 18:00-02:00; Mo off"
+//
+// Anything fancier (public holidays, months, week numbers, comments) makes the
+// whole string "unknown" rather than risk a wrong answer.
+
+const DAYS = ['Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa', 'Su'];
+const MINUTES_PER_DAY = 24 * 60;
+
+function parseDays(text) {
+  const days = new Set();
+  for (const part of text.split(',')) {
+    const [from, to] = part.split('-').map(d => DAYS.indexOf(d.trim()));
+    if (from < 0 || (to !== undefined && to < 0)) return null;
+    if (to === undefined) {
+      days.add(from);
+    } else {
+      for (let d = from; ; d = (d + 1) % 7) {
+        days.add(d);
+        if (d === to) break;
+      }
+    }
+  }
+  return days;
+}
+
+function parseTimes(text) {
+  const intervals = [];
+  for (const part of text.split(',')) {
+    const match = part.trim().match(/^(\d{1,2}):(\d{2})-(\d{1,2}):(\d{2})\+?$/);
+    if (!match) return null;
+    const start = Number(match[1]) * 60 + Number(match[2]);
+    let end = Number(match[3]) * 60 + Number(match[4]);
+    if (end <= start) end += MINUTES_PER_DAY; // runs past midnight
+    intervals.push([start, end]);
+  }
+  return intervals;
+}
+
+/**
+ * Parses an `opening_hours` string into one list of [start, end] minute
+ * intervals per weekday (index 0 = Monday). Returns null when it can't.
+ */
+function parseOpeningHours(text) {
+  if (typeof text !== 'string' || !text.trim()) return null;
+  const spec = text.trim();
+  if (spec === '24/7') return DAYS.map(() => [[0, MINUTES_PER_DAY]]);
+
+  const week = DAYS.map(() => []);
+  for (const rule of spec.split(';').map(r => r.trim()).filter(Boolean)) {
+    const match = rule.match(/^(?:([A-Za-z,\s-]+?)\s+)?(off|closed|[\d:,\s+-]+)$/);
+    if (!match) return null;
+    const days = match[1] ? parseDays(match[1].replace(/\s+/g, '')) : new Set(DAYS.keys());
+    if (!days) return null;
+    const isOff = match[2] === 'off' || match[2] === 'closed';
+    const intervals = isOff ? [] : parseTimes(match[2]);
+    if (!intervals) return null;
+    // Later rules replace earlier ones for the days they name, as in OSM.
+    for (const d of days) week[d] = intervals;
+  }
+  return week;
+}
+
+/**
+ * Finds the opening interval that covers `minute` (minutes after midnight of
+ * `date`'s day, may run past 1440). Returns { opensAt, closesAt } relative to
+ * that same midnight, or null when the venue is closed.
+ */
+function findOpenInterval(week, date, minute) {
+  const dayOffset = Math.floor(minute / MINUTES_PER_DAY);
+  const minuteOfDay = minute - dayOffset * MINUTES_PER_DAY;
+  const weekday = (date.getDay() + 6 + dayOffset) % 7; // JS weekdays start on Sunday
+  const base = dayOffset * MINUTES_PER_DAY;
+
+  for (const [start, end] of week[weekday]) {
+    if (minuteOfDay >= start && minuteOfDay < end) return { opensAt: base + start, closesAt: base + end };
+  }
+  // An interval from the day before that runs past midnight
+  for (const [start, end] of week[(weekday + 6) % 7]) {
+    if (end > MINUTES_PER_DAY && minuteOfDay < end - MINUTES_PER_DAY) {
+      return { opensAt: base + start - MINUTES_PER_DAY, closesAt: base + end - MINUTES_PER_DAY };
+    }
+  }
+  return null;
+}
+
+module.exports = { parseOpeningHours, findOpenInterval };
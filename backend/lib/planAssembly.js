@@ -0,0 +1,289 @@
+// lib/planAssembly.js
+//
+// Turns the model's function calls into a finished plan: validation with
+// replacement rounds, renumbering, real travel legs and the timeline. The
+// LLM session, geocoder lookup and routing provider are passed in, so this
+// runs the same against a live model or the mock provider.
+
+const { OUTDOOR_TYPES, checkStops, renumberStops } = require('./stopValidation');
+const { medianPoint } = require('./geo');
+const { attachTravelLegs } = require('./routing');
+const { scheduleStops } = require('./schedule');
+const { summarizeBudget, pickStopsToCut } = require('./budget');
+const { matchPreferences } = require('./preferences');
+
+const MAX_REPLACEMENT_ROUNDS = 2;
+const MAX_ALTERNATE_DISTANCE_KM = 3;
+
+/**
+ * Follow-up message asking the model to replace stops that failed validation.
+ */
+function constructReplacementPrompt(userMessage, keptStops, rejected, avoidNames = []) {
+  const kept = keptStops.map(s => `  ${s.stopNumber}. ${s.name} (${s.address})`).join('\n') || '  (none)';
+  const dropped = rejected.map(r => `  ${r.stop.stopNumber ?? '?'}. ${r.stop.name || 'Unnamed'} - ${r.reasons.join(' ')}`).join('\n');
+  return `${userMessage}
+
+Some stops in your previous plan could not be used.
+Stops that are being kept:
+${kept}
+Stops that were rejected, and why:
+${dropped}
+
+Call 'create_date_stop' exactly ${rejected.length} time(s) to replace the rejected stops, reusing their stop numbers.
+Each replacement must be a different real-world place that exists at the address you give, close to the other stops.${avoidNames.length ? `
+Do not use any of these places: ${avoidNames.join(', ')}.` : ''}`;
+}
+
+/**
+ * Follow-up message asking the model for cheaper replacements when the plan is over budget.
+ */
+function constructBudgetPrompt(userMessage, keptStops, toCut, { currency, maxTotal, allowance }) {
+  const kept = keptStops.map(s => `  ${s.stopNumber}. ${s.name} (~${s.estimatedCost ?? '?'} ${currency})`).join('\n') || '  (none)';
+  const cut = toCut.map(s => `  ${s.stopNumber}. ${s.name} (~${s.estimatedCost} ${currency})`).join('\n');
+  return `${userMessage}
+
+Your previous plan costs more than the total budget of ${maxTotal} ${currency}.
+Stops that are being kept:
+${kept}
+Stops that are too expensive:
+${cut}
+
+Call 'create_date_stop' exactly ${toCut.length} time(s) to replace the expensive stops, reusing their stop numbers.
+The replacements must be real-world places of a similar kind and must cost no more than ${allowance} ${currency} in total. Include an estimatedCost for each.`;
+}
+
+/**
+ * Follow-up message asking for indoor alternates the model didn't give inline.
+ */
+function constructIndoorAlternatePrompt(userMessage, outdoorStops) {
+  const list = outdoorStops.map(s => `  ${s.stopNumber}. ${s.name} (${s.type}) - ${s.address}`).join('\n');
+  return `${userMessage}
+
+These outdoor stops need an indoor alternative in case the weather turns:
+${list}
+
+Call 'create_date_stop' once for each of them with a real-world indoor place nearby that fits the same part of the date, using the stop number of the stop it stands in for.`;
+}
+
+/**
+ * Splits the model's function calls into stop and travel leg args.
+ */
+function collectFunctionCalls(functionCalls) {
+  const stops = [];
+  const travelLegs = [];
+  for (const fn of functionCalls) {
+    if (fn.name === 'create_date_stop') stops.push(fn.args);
+    else if (fn.name === 'create_travel_leg') travelLegs.push(fn.args);
+  }
+  return { stops, travelLegs };
+}
+
+/**
+ * Asks the model to replace stops that failed validation, for up to
+ * `maxReplacementRounds` rounds. `keptStops` is everything already in the plan;
+ * `avoidNames` are places used elsewhere that the replacements may not repeat.
+ * Returns the accepted replacements.
+ */
+async function replaceRejectedStops(session, userMessage, rejected, { center, keptStops, lookupPlace, avoidNames = [], maxReplacementRounds = MAX_REPLACEMENT_ROUNDS }) {
+  const replaced = [];
+  for (let round = 1; rejected.length > 0 && round <= maxReplacementRounds; round++) {
+    console.log(`-> ${rejected.length} stop(s) rejected, requesting replacements (round ${round})...`);
+    const planSoFar = [...keptStops, ...replaced];
+    const retry = await session.generate(constructReplacementPrompt(userMessage, planSoFar, rejected, avoidNames));
+    const replacements = collectFunctionCalls(retry.functionCalls).stops;
+    const checked = await checkStops(replacements, {
+      center: center || medianPoint(planSoFar),
+      lookupPlace,
+      existingNames: [...planSoFar.map(s => s.name), ...avoidNames],
+    });
+    replaced.push(...checked.accepted.map(stop => ({
+      ...stop,
+      validationNotes: ['Replacement for a rejected stop.', ...stop.validationNotes],
+    })));
+    rejected = checked.rejected;
+  }
+  return replaced;
+}
+
+/**
+ * Validates stops the model just produced, asking it to replace any that get rejected.
+ * `keptStops` are stops already in the plan: new ones may not duplicate them, and the
+ * replacement prompt lists them as context. Returns only the accepted new stops.
+ */
+async function validateNewStops(session, userMessage, rawStops, { center, keptStops = [], lookupPlace, maxReplacementRounds }) {
+  const { accepted, rejected } = await checkStops(rawStops, {
+    center,
+    lookupPlace,
+    existingNames: keptStops.map(s => s.name),
+  });
+  const replaced = await replaceRejectedStops(session, userMessage, rejected, {
+    center,
+    keptStops: [...keptStops, ...accepted],
+    lookupPlace,
+    maxReplacementRounds,
+  });
+  return [...accepted, ...replaced];
+}
+
+/**
+ * When the stops cost more than `budget.maxTotal`, asks the model once for
+ * cheaper replacements for the priciest ones. The swap only happens if the
+ * replacements pass validation and actually fit; otherwise the original stops
+ * come back unchanged and the plan is flagged as over budget later on.
+ * `avoidNames` are places used elsewhere that the replacements may not repeat.
+ */
+async function fitToBudget(session, userMessage, stops, { budget, center, lookupPlace, avoidNames = [] }) {
+  if (!budget || budget.maxTotal == null) return stops;
+  const toCut = pickStopsToCut(stops, Number(budget.maxTotal));
+  if (toCut.length === 0) return stops;
+
+  const kept = stops.filter(stop => !toCut.includes(stop));
+  const allowance = Math.max(0, Number(budget.maxTotal) - summarizeBudget(kept).total);
+  console.log(`-> Plan is over budget, asking for cheaper replacements for ${toCut.length} stop(s)...`);
+  const retry = await session.generate(constructBudgetPrompt(userMessage, kept, toCut, { ...budget, allowance }));
+  const { accepted } = await checkStops(collectFunctionCalls(retry.functionCalls).stops, {
+    center: center || medianPoint(kept),
+    lookupPlace,
+    existingNames: [...kept.map(s => s.name), ...avoidNames],
+  });
+  if (accepted.length === 0 || summarizeBudget(accepted).total > allowance) return stops;
+
+  const replacedNames = toCut.map(s => `"${s.name}"`).join(', ');
+  return [...kept, ...accepted.map(stop => ({
+    ...stop,
+    validationNotes: [`Swapped in to stay within budget (replaces ${replacedNames}).`, ...stop.validationNotes],
+  }))];
+}
+
+/**
+ * Asks the model once to replace stops it didn't confirm meet the user's
+ * preferences (wheelchair access, diet, ...). A replacement is only used if it
+ * passes validation and does confirm them; otherwise the original stays and
+ * is flagged with `unmetPreferences` later on. `avoidNames` are as for fitToBudget.
+ */
+async function fitToPreferences(session, userMessage, stops, { preferences, center, lookupPlace, avoidNames = [] }) {
+  if (!preferences) return stops;
+  const misses = stops
+    .map(stop => ({ stop, unmet: matchPreferences(stop, preferences).unmet }))
+    .filter(miss => miss.unmet.length > 0);
+  if (misses.length === 0) return stops;
+
+  const missed = misses.map(miss => miss.stop);
+  const replaced = await replaceRejectedStops(session, userMessage, misses.map(({ stop, unmet }) => ({
+    stop,
+    reasons: [`Not confirmed to meet: ${unmet.join(', ')}.`],
+  })), {
+    center,
+    keptStops: stops.filter(stop => !missed.includes(stop)),
+    lookupPlace,
+    avoidNames: [...missed.map(stop => stop.name), ...avoidNames],
+    maxReplacementRounds: 1,
+  });
+
+  return stops.map(stop => {
+    if (!missed.includes(stop)) return stop;
+    const replacement = replaced.find(r => r.stopNumber === stop.stopNumber && matchPreferences(r, preferences).unmet.length === 0);
+    return replacement || stop;
+  });
+}
+
+/**
+ * Gives every outdoor (Park/Activity) stop a validated `indoorAlternate` to
+ * swap in when the weather turns. Alternates the model put inline are used
+ * first; the rest are asked for in one follow-up. A stop whose alternate
+ * doesn't check out simply goes without one, as does one named in `avoidNames`.
+ */
+async function attachIndoorAlternates(session, userMessage, stops, { lookupPlace, avoidNames = [] }) {
+  const outdoor = stops.filter(stop => OUTDOOR_TYPES.includes(stop.type));
+  const candidates = new Map(); // stopNumber -> raw alternate
+  for (const stop of outdoor) {
+    if (stop.indoorAlternate && typeof stop.indoorAlternate === 'object') candidates.set(stop.stopNumber, stop.indoorAlternate);
+  }
+
+  const missing = outdoor.filter(stop => !candidates.has(stop.stopNumber));
+  if (missing.length > 0) {
+    console.log(`-> Asking for indoor alternates for ${missing.length} outdoor stop(s)...`);
+    const retry = await session.generate(constructIndoorAlternatePrompt(userMessage, missing));
+    for (const raw of collectFunctionCalls(retry.functionCalls).stops) {
+      const stopNumber = Number(raw.stopNumber);
+      if (missing.some(stop => stop.stopNumber === stopNumber) && !candidates.has(stopNumber)) candidates.set(stopNumber, raw);
+    }
+  }
+
+  const names = [...stops.map(stop => stop.name), ...avoidNames];
+  const result = [];
+  for (const stop of stops) {
+    const { indoorAlternate: _raw, ...rest } = stop;
+    const raw = OUTDOOR_TYPES.includes(stop.type) && candidates.get(stop.stopNumber);
+    if (raw) {
+      const { accepted } = await checkStops([{ duration: stop.duration, ...raw, stopNumber: stop.stopNumber, startTime: stop.startTime }], {
+        center: stop,
+        lookupPlace,
+        existingNames: names,
+        maxDistanceKm: MAX_ALTERNATE_DISTANCE_KM,
+      });
+      const alternate = accepted[0];
+      if (alternate && alternate.type !== 'Park') {
+        delete alternate.indoorAlternate;
+        rest.indoorAlternate = alternate;
+      }
+    }
+    result.push(rest);
+  }
+  return result;
+}
+
+/**
+ * Renumbers the stops, computes real travel legs between them and lays them
+ * out on a timeline. The model's own legs only hint at the mode when the user
+ * didn't pick one. Also totals the estimated costs against `budget`; `date`
+ * is the day of the outing, for opening hours. An indoor alternate that turns
+ * out to be closed at its stop's scheduled time is dropped. With `preferences`,
+ * every stop gets `matchedPreferences` (and `unmetPreferences` when it falls short).
+ */
+async function finishPlanStops(stops, { routingProvider, travelLegs = [], transportMode, startTime, endTime, date, budget, preferences, annotateRenumbering = true }) {
+  const { stops: ordered, numberMap } = renumberStops(stops, { annotate: annotateRenumbering });
+  const routedStops = await attachTravelLegs(ordered, {
+    provider: routingProvider,
+    transportMode,
+    modeHint: (stop) => {
+      const leg = travelLegs.find(leg => numberMap.get(leg.fromStop) === stop.stopNumber);
+      return leg ? leg.transportMode : stop.travelToNext && stop.travelToNext.transportMode;
+    },
+  });
+  const { stops: scheduledStops, schedule } = scheduleStops(routedStops, { startTime, endTime, date });
+
+  // Flag the stops that would need to go for the plan to fit the budget
+  const budgetSummary = summarizeBudget(scheduledStops, budget);
+  const overBudgetStops = budgetSummary.withinBudget ? [] : pickStopsToCut(scheduledStops, budgetSummary.maxTotal);
+  const finalStops = scheduledStops.map(stop => {
+    const finished = overBudgetStops.includes(stop) ? { ...stop, overBudget: true } : { ...stop };
+    // A swapped-in stop's alternate is the outdoor stop it replaced, kept so the swap can be undone
+    const alternate = stop.indoorAlternate;
+    if (alternate && !stop.swappedIndoor && alternate.scheduleConflicts.some(conflict => conflict.type === 'closed')) {
+      delete finished.indoorAlternate;
+      finished.validationNotes = [...(stop.validationNotes || []), `Dropped the indoor option ${alternate.name}: it is closed at ${stop.startTime}.`];
+    }
+    if (preferences) {
+      const { matched, unmet } = matchPreferences(stop, preferences);
+      finished.matchedPreferences = matched;
+      if (unmet.length > 0) finished.unmetPreferences = unmet;
+      else delete finished.unmetPreferences;
+    }
+    return finished;
+  });
+
+  return { stops: finalStops, schedule, budget: budgetSummary };
+}
+
+module.exports = {
+  MAX_REPLACEMENT_ROUNDS,
+  collectFunctionCalls,
+  constructReplacementPrompt,
+  replaceRejectedStops,
+  validateNewStops,
+  fitToBudget,
+  fitToPreferences,
+  attachIndoorAlternates,
+  finishPlanStops,
+};
@@ -0,0 +1,113 @@
+// lib/planCache.js
+//
+// Generated plans, cached by the normalized request that produced them, so
+// asking for the same outing twice doesn't cost another round of LLM,
+// geocoding and routing calls. Identical requests that arrive while the first
+// one is still being planned wait for its result instead of starting their own.
+
+const crypto = require('crypto');
+const { createLruCache } = require('./geocoding/cache');
+const { normalizeTransportMode } = require('./routing');
+
+const COORDINATE_DECIMALS = 3; // ~110 m, so requests from the same spot share an entry
+
+const normalizeText = (value) => (typeof value === 'string' ? value.trim().toLowerCase().replace(/\s+/g, ' ') : '');
+const roundCoord = (value) => Number(Number(value).toFixed(COORDINATE_DECIMALS));
+
+/**
+ * The cache key for a resolved plan request: only the fields that change the
+ * plan, normalized so trivially different requests (case, spacing, a few
+ * metres of GPS drift) land on the same entry.
+ */
+function planCacheKey({ prompt, center, dateVibe, transportMode, startTime, endTime, date, budget, priceLevel, preferences, variants = 1 }) {
+  const fields = {
+    prompt: normalizeText(prompt),
+    center: center ? [roundCoord(center.lat), roundCoord(center.lng)] : null,
+    dateVibe: normalizeText(dateVibe),
+    transportMode: normalizeTransportMode(transportMode) || normalizeText(transportMode),
+    startTime: startTime || null,
+    endTime: endTime || null,
+    date: date || null,
+    // The currency counts even without a cap: the model prices every stop in it
+    budget: budget ? [normalizeText(budget.currency), budget.maxTotal ?? null] : null,
+    priceLevel: priceLevel == null || priceLevel === '' ? null : String(priceLevel),
+    preferences: preferences ? { ...preferences, dietary: [...preferences.dietary].sort() } : null,
+    variants,
+  };
+  return crypto.createHash('sha256').update(JSON.stringify(fields)).digest('hex');
+}
+
+/**
+ * @param {object} [options]
+ * @param {number} [options.maxEntries]  0 turns caching off; identical in-flight requests are still shared.
+ * @param {number} [options.ttlMs]
+ */
+function createCoalescingCache({ maxEntries = 200, ttlMs = 6 * 60 * 60 * 1000 } = {}) {
+  const cache = createLruCache({ maxEntries, ttlMs });
+  const inFlight = new Map(); // key -> Promise of the value being produced
+  const counts = { hits: 0, misses: 0, coalesced: 0, bypassed: 0 };
+
+  return {
+    /**
+     * The value for `key`: a cached copy when there is one, the result of an
+     * identical request still in flight, or else whatever `produce()` resolves
+     * to (which is then cached). `fresh` skips the cache and in-flight lookups
+     * and replaces the cached value. Failures are never cached.
+     *
+     * @returns {Promise<{ value, cache: { status: 'hit' | 'coalesced' | 'miss' | 'bypass', ageSeconds: number } }>}
+     */
+    async fetch(key, produce, { fresh = false } = {}) {
+      if (!fresh) {
+        const entry = cache.get(key);
+        if (entry) {
+          counts.hits++;
+          return { value: structuredClone(entry.value), cache: { status: 'hit', ageSeconds: Math.round((Date.now() - entry.createdAt) / 1000) } };
+        }
+        const pending = inFlight.get(key);
+        if (pending) {
+          counts.coalesced++;
+          return { value: structuredClone(await pending), cache: { status: 'coalesced', ageSeconds: 0 } };
+        }
+        counts.misses++;
+      } else {
+        counts.bypassed++;
+      }
+
+      const run = Promise.resolve().then(produce);
+      inFlight.set(key, run);
+      try {
+        const value = await run;
+        cache.set(key, { value: structuredClone(value), createdAt: Date.now() });
+        return { value, cache: { status: fresh ? 'bypass' : 'miss', ageSeconds: 0 } };
+      } finally {
+        if (inFlight.get(key) === run) inFlight.delete(key);
+      }
+    },
+
+    stats() {
+      const lookups = counts.hits + counts.coalesced + counts.misses;
+      return {
+        ...counts,
+        hitRate: lookups ? Number(((counts.hits + counts.coalesced) / lookups).toFixed(3)) : null,
+        entries: cache.size,
+        inFlight: inFlight.size,
+        maxEntries,
+        ttlSeconds: Math.round(ttlMs / 1000),
+      };
+    },
+  };
+}
+
+/**
+ * Builds the cache from env config: PLAN_CACHE_SIZE (default 200, 0 turns it
+ * off) and PLAN_CACHE_TTL_MINUTES (default 360).
+ */
+function createPlanCache(env = process.env) {
+  const size = env.PLAN_CACHE_SIZE;
+  return createCoalescingCache({
+    maxEntries: size != null && size !== '' && Number.isFinite(Number(size)) ? Number(size) : undefined,
+    ttlMs: Number(env.PLAN_CACHE_TTL_MINUTES) > 0 ? Number(env.PLAN_CACHE_TTL_MINUTES) * 60 * 1000 : undefined,
+  });
+}
+
+module.exports = { planCacheKey, createCoalescingCache, createPlanCache };
@@ -0,0 +1,45 @@
+// lib/planDiff.js
+//
+// Compares two versions of a plan's stops. Stops are matched by name, since
+// that's what stays stable when the model re-emits an itinerary.
+
+const { normalizeName } = require('./stopValidation');
+
+const COMPARED_FIELDS = ['stopNumber', 'startTime', 'duration'];
+
+const stopRef = (stop) => ({ stopNumber: stop.stopNumber, name: stop.name });
+
+/**
+ * Maps each stop's normalized name to the stop.
+ */
+function indexByName(stops) {
+  return new Map(stops.map(stop => [normalizeName(stop.name), stop]));
+}
+
+/**
+ * @returns {{ added: object[], removed: object[], changed: object[] }}
+ *   `added`/`removed` list `{ stopNumber, name }`; `changed` also carries
+ *   `changes: { field: { from, to } }` for each field that differs.
+ */
+function diffStops(before, after) {
+  const beforeByName = indexByName(before);
+  const afterByName = indexByName(after);
+
+  const added = after.filter(stop => !beforeByName.has(normalizeName(stop.name))).map(stopRef);
+  const removed = before.filter(stop => !afterByName.has(normalizeName(stop.name))).map(stopRef);
+
+  const changed = [];
+  for (const stop of after) {
+    const previous = beforeByName.get(normalizeName(stop.name));
+    if (!previous) continue;
+    const changes = {};
+    for (const field of COMPARED_FIELDS) {
+      if (previous[field] !== stop[field]) changes[field] = { from: previous[field], to: stop[field] };
+    }
+    if (Object.keys(changes).length > 0) changed.push({ ...stopRef(stop), changes });
+  }
+
+  return { added, removed, changed };
+}
+
+module.exports = { diffStops, indexByName };
@@ -0,0 +1,128 @@
+// lib/planStore.js
+//
+// Storage for saved plans. Stores implement:
+//
+//   save(plan)   -> Promise<record>         (assigns `id` and `createdAt`)
+//   get(id)      -> Promise<record | null>
+//   list()       -> Promise<summary[]>      (newest first)
+//   remove(id)   -> Promise<boolean>        (false when there was nothing to delete)
+//
+// The JSON file store keeps everything in memory and rewrites the file after
+// each change, which is plenty for the number of plans a single server sees.
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+const newPlanId = () => crypto.randomBytes(6).toString('base64url');
+
+const toSummary = (record) => ({
+  id: record.id,
+  planTitle: record.planTitle,
+  stopCount: record.stops.length,
+  createdAt: record.createdAt,
+});
+
+function createRecord(plan) {
+  return {
+    ...plan,
+    id: newPlanId(),
+    createdAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * In-memory store. Nothing survives a restart; meant for tests and for
+ * running without a writable disk.
+ */
+function createMemoryPlanStore() {
+  const plans = new Map();
+  return {
+    async save(plan) {
+      const record = createRecord(plan);
+      plans.set(record.id, record);
+      return record;
+    },
+    async get(id) {
+      return plans.get(id) || null;
+    },
+    async list() {
+      return [...plans.values()].reverse().map(toSummary);
+    },
+    async remove(id) {
+      return plans.delete(id);
+    },
+  };
+}
+
+/**
+ * Store backed by a single JSON file. Writes go through a temp file and a
+ * rename so a crash mid-write can't leave a half-written file behind.
+ */
+function createJsonPlanStore({ filePath }) {
+  let plans = null; // Map, loaded on first use
+  let writeQueue = Promise.resolve();
+
+  async function load() {
+    if (plans) return plans;
+    try {
+      const data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+      plans = new Map(data.map(record => [record.id, record]));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      plans = new Map();
+    }
+    return plans;
+  }
+
+  function persist() {
+    const snapshot = JSON.stringify([...plans.values()], null, 2);
+    // Chain onto the previous write even if it failed, so one bad write doesn't wedge the store
+    writeQueue = writeQueue.catch(() => {}).then(async () => {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      const tmpPath = `${filePath}.tmp`;
+      await fs.writeFile(tmpPath, snapshot);
+      await fs.rename(tmpPath, filePath);
+    });
+    return writeQueue;
+  }
+
+  return {
+    async save(plan) {
+      await load();
+      const record = createRecord(plan);
+      plans.set(record.id, record);
+      await persist();
+      return record;
+    },
+    async get(id) {
+      return (await load()).get(id) || null;
+    },
+    async list() {
+      return [...(await load()).values()].reverse().map(toSummary);
+    },
+    async remove(id) {
+      await load();
+      if (!plans.delete(id)) return false;
+      await persist();
+      return true;
+    },
+  };
+}
+
+/**
+ * Picks the store from env config: PLAN_STORE = json (default) | memory,
+ * with PLANS_FILE for the JSON file's location.
+ */
+function createPlanStore(env = process.env) {
+  switch ((env.PLAN_STORE || 'json').toLowerCase()) {
+    case 'memory':
+      return createMemoryPlanStore();
+    case 'json':
+      return createJsonPlanStore({ filePath: env.PLANS_FILE || path.join(__dirname, '..', 'data', 'plans.json') });
+    default:
+      throw new Error(`Unknown PLAN_STORE "${env.PLAN_STORE}".`);
+  }
+}
+
+module.exports = { createMemoryPlanStore, createJsonPlanStore, createPlanStore };
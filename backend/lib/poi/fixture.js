@@ -0,0 +1,29 @@
+// lib/poi/fixture.js
+//
+// Answers from a static list of venues instead of a live service, so stop
+// alternatives work offline and in tests. A fixture file looks like:
+//
+//   { "places": [
+//       { "id": "fixture:candies", "name": "Candies", "type": "Cafe", "lat": 19.06, "lng": 72.83,
+//         "address": "...", "openingHours": "...", "keywords": ["cafe", "bakery"] }
+//   ] }
+
+const fs = require('fs');
+const path = require('path');
+const { haversineKm } = require('../geo');
+
+const DEFAULT_FIXTURES = path.join(__dirname, '..', '..', 'fixtures', 'poi', 'places.json');
+
+function createFixturePoiProvider({ fixturesPath = DEFAULT_FIXTURES, places } = {}) {
+  const list = places || JSON.parse(fs.readFileSync(fixturesPath, 'utf8')).places;
+  return {
+    name: 'fixture',
+    async searchNearby({ lat, lng, type, radiusMeters }) {
+      return list
+        .filter(place => place.type === type && haversineKm({ lat, lng }, place) * 1000 <= radiusMeters)
+        .map(place => ({ address: '', keywords: [], ...place }));
+    },
+  };
+}
+
+module.exports = { createFixturePoiProvider };
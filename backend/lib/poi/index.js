@@ -0,0 +1,153 @@
+// lib/poi/index.js
+//
+// Real venues near a point, for offering alternatives to a stop. Every
+// provider implements:
+//
+//   {
+//     name: string,
+//     searchNearby({ lat, lng, type, radiusMeters }) -> Promise<poi[]>
+//   }
+//
+// where `type` is one of STOP_TYPES and a poi is
+//
+//   { id, name, type, lat, lng, address, openingHours?, keywords: string[] }
+//
+// `keywords` are the lowercase words describing the venue (its OSM tags:
+// cuisine, amenity, leisure, ...), which is what vibe matching works from.
+// Providers throw when the service itself fails; the cached provider built
+// around them turns that into an HttpError(503).
+
+const { HttpError } = require('../errors');
+const { STOP_TYPES, normalizeName } = require('../stopValidation');
+const { haversineKm } = require('../geo');
+const { createLruCache } = require('../geocoding/cache');
+const { createOverpassProvider } = require('./overpass');
+const { createFixturePoiProvider } = require('./fixture');
+
+const DEFAULT_RADIUS_METERS = 1000;
+const MAX_RADIUS_METERS = 5000;
+const DEFAULT_LIMIT = 8;
+const MAX_LIMIT = 20;
+const DISTANCE_WEIGHT = 0.6; // the rest of the score is vibe fit
+
+// Venue keywords that suit each of the app's vibes. A vibe outside this list
+// is matched on its own words.
+const VIBE_KEYWORDS = {
+  romantic: ['wine', 'wine_bar', 'cocktail', 'lounge', 'rooftop', 'garden', 'viewpoint', 'beach', 'italian', 'french', 'fine_dining', 'dessert', 'ice_cream', 'promenade'],
+  adventurous: ['escape_game', 'climbing', 'trampoline_park', 'karting', 'amusement_arcade', 'theme_park', 'water_park', 'zoo', 'aquarium', 'nature_reserve', 'bowling_alley', 'sports_centre', 'hiking'],
+  casual: ['cafe', 'coffee_shop', 'pub', 'fast_food', 'food_court', 'pizza', 'burger', 'sandwich', 'park', 'amusement_arcade', 'ice_cream'],
+  foodie: ['restaurant', 'street_food', 'food_court', 'bakery', 'deli', 'seafood', 'tapas', 'sushi', 'regional', 'dessert', 'ice_cream', 'brewery', 'wine'],
+  artsy: ['museum', 'gallery', 'arts_centre', 'theatre', 'cinema', 'books', 'art', 'craft', 'music', 'studio', 'exhibition_centre', 'library'],
+};
+
+// Free-text types the model or a client may use for one of STOP_TYPES
+const TYPE_SYNONYMS = {
+  restaurant: 'Food', dinner: 'Food', lunch: 'Food', brunch: 'Food', dessert: 'Food',
+  coffee: 'Cafe', bakery: 'Cafe',
+  pub: 'Bar', lounge: 'Bar', club: 'Bar', nightclub: 'Bar',
+  museum: 'Activity', gallery: 'Activity', cinema: 'Activity', theatre: 'Activity', attraction: 'Activity',
+  garden: 'Park', beach: 'Park', viewpoint: 'Park', promenade: 'Park',
+  mall: 'Shop', market: 'Shop', store: 'Shop', shopping: 'Shop',
+};
+
+/**
+ * Maps a stop type (any case, or a common synonym) onto one of STOP_TYPES, or null.
+ */
+function normalizeStopType(value) {
+  if (typeof value !== 'string') return null;
+  const wanted = value.trim().toLowerCase();
+  return STOP_TYPES.find(type => type.toLowerCase() === wanted) || TYPE_SYNONYMS[wanted] || null;
+}
+
+const vibeKeywords = (vibe) => {
+  const words = normalizeName(vibe || '').split(' ').filter(word => word.length > 2);
+  return [...new Set(words.flatMap(word => VIBE_KEYWORDS[word] || [word]))];
+};
+
+/**
+ * Orders venues by a score mixing closeness to `center` (within `radiusMeters`)
+ * with how many of the vibe's keywords they match, and drops the ones named in
+ * `exclude` (e.g. the plan's own stops).
+ *
+ * @returns {Array<poi & { distanceMeters, vibeMatches: string[], score }>}
+ */
+function rankAlternatives(pois, { center, radiusMeters, vibe, exclude = [], limit = DEFAULT_LIMIT }) {
+  const wanted = vibeKeywords(vibe);
+  const excluded = new Set(exclude.map(normalizeName));
+  const seen = new Set();
+  return pois
+    .filter(poi => {
+      const key = normalizeName(poi.name || '');
+      if (!key || excluded.has(key) || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .map(poi => {
+      const distanceMeters = Math.round(haversineKm(center, poi) * 1000);
+      const vibeMatches = wanted.filter(keyword => poi.keywords.includes(keyword));
+      const closeness = Math.max(0, 1 - distanceMeters / radiusMeters);
+      const fit = wanted.length ? Math.min(1, vibeMatches.length / 2) : 0;
+      const score = Number((DISTANCE_WEIGHT * closeness + (1 - DISTANCE_WEIGHT) * fit).toFixed(3));
+      return { ...poi, distanceMeters, vibeMatches, score };
+    })
+    .filter(poi => poi.distanceMeters <= radiusMeters)
+    .sort((a, b) => b.score - a.score || a.distanceMeters - b.distanceMeters)
+    .slice(0, limit);
+}
+
+/**
+ * Wraps a provider with a cache, so the same area and type isn't fetched again
+ * for a while (the public Overpass servers ask clients to go easy on them).
+ */
+function createCachedPoiProvider(provider, { cache = createLruCache({ maxEntries: 500, ttlMs: 24 * 60 * 60 * 1000 }) } = {}) {
+  return {
+    name: provider.name,
+    async searchNearby({ lat, lng, type, radiusMeters }) {
+      const key = `${provider.name}:${type}@${lat.toFixed(3)},${lng.toFixed(3)}~${radiusMeters}`;
+      let pois = cache.get(key);
+      if (pois === undefined) {
+        try {
+          pois = await provider.searchNearby({ lat, lng, type, radiusMeters });
+        } catch (error) {
+          throw new HttpError(503, `The ${provider.name} venue search is unavailable (${error.message}).`);
+        }
+        cache.set(key, pois);
+      }
+      return pois;
+    },
+  };
+}
+
+/**
+ * Picks the provider from env config: POI_PROVIDER = overpass (default) | fixture.
+ * With `metrics` (lib/metrics.js), calls that reach the provider are timed.
+ */
+function createPoiProvider(env = process.env, { metrics } = {}) {
+  let provider;
+  switch ((env.POI_PROVIDER || 'overpass').toLowerCase()) {
+    case 'overpass':
+      provider = createOverpassProvider({ baseUrl: env.OVERPASS_URL || undefined });
+      break;
+    case 'fixture':
+      provider = createFixturePoiProvider({ fixturesPath: env.POI_FIXTURES || undefined });
+      break;
+    default:
+      throw new Error(`Unknown POI_PROVIDER "${env.POI_PROVIDER}".`);
+  }
+  if (metrics) provider = metrics.instrument('poi', provider, ['searchNearby']);
+  return createCachedPoiProvider(provider);
+}
+
+module.exports = {
+  DEFAULT_RADIUS_METERS,
+  MAX_RADIUS_METERS,
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  VIBE_KEYWORDS,
+  normalizeStopType,
+  rankAlternatives,
+  createPoiProvider,
+  createCachedPoiProvider,
+  createOverpassProvider,
+  createFixturePoiProvider,
+};
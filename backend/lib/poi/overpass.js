@@ -0,0 +1,72 @@
+// lib/poi/overpass.js
+//
+// OpenStreetMap venues through the Overpass API. The public servers are free
+// but shared; point OVERPASS_URL at another instance for heavier use.
+
+const axios = require('axios');
+
+// OSM tags that make a venue one of our stop types
+const TYPE_TAGS = {
+  Food: { amenity: ['restaurant', 'fast_food', 'food_court'] },
+  Cafe: { amenity: ['cafe', 'ice_cream'], shop: ['bakery', 'coffee', 'tea'] },
+  Bar: { amenity: ['bar', 'pub', 'biergarten', 'nightclub'] },
+  Activity: {
+    tourism: ['museum', 'gallery', 'attraction', 'zoo', 'aquarium', 'theme_park'],
+    amenity: ['cinema', 'theatre', 'arts_centre'],
+    leisure: ['bowling_alley', 'escape_game', 'amusement_arcade', 'trampoline_park', 'water_park', 'miniature_golf'],
+  },
+  Park: { leisure: ['park', 'garden', 'nature_reserve'], tourism: ['viewpoint'], natural: ['beach'] },
+  Shop: { shop: ['mall', 'department_store', 'books', 'gift', 'art', 'craft', 'clothes', 'music'], amenity: ['marketplace'] },
+};
+const KEYWORD_TAGS = ['amenity', 'shop', 'leisure', 'tourism', 'natural', 'cuisine', 'diet:vegetarian', 'diet:vegan', 'diet:halal'];
+const MAX_RESULTS = 60;
+
+const buildQuery = ({ lat, lng, type, radiusMeters }) => {
+  const filters = Object.entries(TYPE_TAGS[type]).map(([key, values]) =>
+    `nwr["${key}"~"^(${values.join('|')})$"]["name"](around:${radiusMeters},${lat},${lng});`
+  );
+  return `[out:json][timeout:20];(${filters.join('')});out center tags ${MAX_RESULTS};`;
+};
+
+const keywordsOf = (tags) => KEYWORD_TAGS.flatMap(key => {
+  const value = tags[key];
+  if (!value || value === 'no') return [];
+  // diet:vegan=yes -> "vegan"; cuisine=italian;pizza -> "italian", "pizza"
+  if (key.startsWith('diet:')) return [key.slice(5)];
+  return value.toLowerCase().split(';').map(word => word.trim()).filter(Boolean);
+});
+
+const addressOf = (tags) => [
+  [tags['addr:housenumber'], tags['addr:street']].filter(Boolean).join(' '),
+  tags['addr:suburb'],
+  tags['addr:city'],
+].filter(Boolean).join(', ');
+
+function createOverpassProvider({ baseUrl = 'https://overpass-api.de/api', userAgent = 'AI-Date-Planner-Server' } = {}) {
+  const client = axios.create({ baseURL: baseUrl, headers: { 'User-Agent': userAgent }, timeout: 25000 });
+
+  return {
+    name: 'overpass',
+    async searchNearby({ lat, lng, type, radiusMeters }) {
+      const { data } = await client.post('/interpreter', new URLSearchParams({ data: buildQuery({ lat, lng, type, radiusMeters }) }));
+      return (data.elements || [])
+        .map(element => {
+          const tags = element.tags || {};
+          const point = element.center || element;
+          return {
+            id: `osm:${element.type}/${element.id}`,
+            name: tags.name,
+            type,
+            lat: point.lat,
+            lng: point.lon,
+            address: addressOf(tags),
+            openingHours: tags.opening_hours || undefined,
+            keywords: keywordsOf(tags),
+          };
+        })
+        .filter(poi => poi.name && poi.lat != null && poi.lng != null);
+    },
+  };
+}
+
+module.exports = { createOverpassProvider };
@@ -0,0 +1,60 @@
+// lib/polyline.js
+//
+// Google's encoded polyline format (precision 5), which is also what OSRM and
+// OpenRouteService return and what the Maps JS geometry library decodes.
+
+function encodeValue(value) {
+  let v = value < 0 ? ~(value << 1) : value << 1;
+  let out = '';
+  while (v >= 0x20) {
+    out += String.fromCharCode((0x20 | (v & 0x1f)) + 63);
+    v >>= 5;
+  }
+  return out + String.fromCharCode(v + 63);
+}
+
+/**
+ * Encodes a list of { lat, lng } points.
+ */
+function encodePolyline(points) {
+  let lastLat = 0;
+  let lastLng = 0;
+  let out = '';
+  for (const { lat, lng } of points) {
+    const iLat = Math.round(lat * 1e5);
+    const iLng = Math.round(lng * 1e5);
+    out += encodeValue(iLat - lastLat) + encodeValue(iLng - lastLng);
+    lastLat = iLat;
+    lastLng = iLng;
+  }
+  return out;
+}
+
+/**
+ * Decodes an encoded polyline back into { lat, lng } points.
+ */
+function decodePolyline(encoded) {
+  const points = [];
+  let index = 0;
+  let lat = 0;
+  let lng = 0;
+  const next = () => {
+    let result = 0;
+    let shift = 0;
+    let byte;
+    do {
+      byte = encoded.charCodeAt(index++) - 63;
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20);
+    return result & 1 ? ~(result >> 1) : result >> 1;
+  };
+  while (index < encoded.length) {
+    lat += next();
+    lng += next();
+    points.push({ lat: lat / 1e5, lng: lng / 1e5 });
+  }
+  return points;
+}
+
+module.exports = { encodePolyline, decodePolyline };
@@ -0,0 +1,104 @@
+// lib/preferences.js
+//
+// The user's needs beyond the vibe: accessibility, diet, pets and party size.
+// A request carries them as
+//
+//   preferences: { wheelchair, dietary: ['vegetarian' | 'vegan' | 'halal'], petFriendly, groupSize, adultsOnly }
+//
+// The model reports which of them each stop meets in `matchedPreferences`,
+// using the keys in PREFERENCE_KEYS; whatever it doesn't confirm is unmet.
+
+const DIETARY_OPTIONS = ['vegetarian', 'vegan', 'halal'];
+const PREFERENCE_KEYS = ['wheelchair', ...DIETARY_OPTIONS, 'pet-friendly', 'group'];
+const MAX_GROUP_SIZE = 20;
+const FOOD_TYPES = ['Food', 'Cafe', 'Bar']; // where a dietary need applies
+
+/**
+ * Checks the `preferences` field of a request body.
+ * Returns an error message, or null when it's fine (or absent).
+ */
+function checkPreferencesInput(preferences) {
+  if (preferences == null) return null;
+  if (typeof preferences !== 'object' || Array.isArray(preferences)) return '"preferences" must be an object.';
+  const { wheelchair, dietary, petFriendly, groupSize, adultsOnly } = preferences;
+  for (const [field, value] of Object.entries({ wheelchair, petFriendly, adultsOnly })) {
+    if (value != null && typeof value !== 'boolean') return `"preferences.${field}" must be true or false.`;
+  }
+  if (dietary != null) {
+    if (!Array.isArray(dietary)) return '"preferences.dietary" must be an array.';
+    const unknown = dietary.find(option => !DIETARY_OPTIONS.includes(option));
+    if (unknown !== undefined) return `Unknown dietary preference "${unknown}". Use: ${DIETARY_OPTIONS.join(', ')}.`;
+  }
+  if (groupSize != null && !(Number.isInteger(groupSize) && groupSize >= 1 && groupSize <= MAX_GROUP_SIZE)) {
+    return `"preferences.groupSize" must be a whole number from 1 to ${MAX_GROUP_SIZE}.`;
+  }
+  return null;
+}
+
+/**
+ * Fills in the defaults of a checked `preferences` object. The old top-level
+ * `isAdult` flag still counts when `adultsOnly` isn't given.
+ */
+function normalizePreferences(preferences, { isAdult = false } = {}) {
+  const prefs = preferences || {};
+  return {
+    wheelchair: prefs.wheelchair === true,
+    dietary: [...new Set(prefs.dietary || [])],
+    petFriendly: prefs.petFriendly === true,
+    groupSize: prefs.groupSize || 2,
+    adultsOnly: prefs.adultsOnly != null ? prefs.adultsOnly : isAdult === true,
+  };
+}
+
+/**
+ * The PREFERENCE_KEYS a stop of this type has to meet.
+ */
+function requiredPreferences(preferences, type) {
+  if (!preferences) return [];
+  const keys = [];
+  if (preferences.wheelchair) keys.push('wheelchair');
+  if (FOOD_TYPES.includes(type)) keys.push(...preferences.dietary);
+  if (preferences.petFriendly) keys.push('pet-friendly');
+  if (preferences.groupSize > 2) keys.push('group');
+  return keys;
+}
+
+/**
+ * Sorts a stop's required preferences into the ones the model confirmed and the rest.
+ */
+function matchPreferences(stop, preferences) {
+  const claimed = new Set((Array.isArray(stop.matchedPreferences) ? stop.matchedPreferences : [])
+    .filter(key => typeof key === 'string')
+    .map(key => key.trim().toLowerCase()));
+  const required = requiredPreferences(preferences, stop.type);
+  return {
+    matched: required.filter(key => claimed.has(key)),
+    unmet: required.filter(key => !claimed.has(key)),
+  };
+}
+
+/**
+ * One line for the prompt, or null when nothing beyond the defaults was asked for.
+ */
+function describePreferences(preferences) {
+  if (!preferences) return null;
+  const needs = [];
+  if (preferences.wheelchair) needs.push('every place must be wheelchair accessible (step-free entrance, accessible restroom)');
+  if (preferences.dietary.length) needs.push(`every Food, Cafe or Bar stop must serve ${preferences.dietary.join(' and ')} options`);
+  if (preferences.petFriendly) needs.push('every place must welcome dogs');
+  if (preferences.groupSize > 2) needs.push(`the plan is for a group of ${preferences.groupSize}, so every place must take a group that size`);
+  else if (preferences.groupSize === 1) needs.push('the plan is for one person');
+  if (needs.length === 0) return null;
+  return `${needs.join('; ')}. For each stop, list in matchedPreferences which of these it meets, using: ${PREFERENCE_KEYS.join(', ')}.`;
+}
+
+module.exports = {
+  DIETARY_OPTIONS,
+  PREFERENCE_KEYS,
+  MAX_GROUP_SIZE,
+  checkPreferencesInput,
+  normalizePreferences,
+  requiredPreferences,
+  matchPreferences,
+  describePreferences,
+};
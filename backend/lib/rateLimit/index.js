@@ -0,0 +1,106 @@
+// lib/rateLimit/index.js
+//
+// Fixed-window request limits per client: per API key when the request sends
+// a known `X-API-Key` header, per IP otherwise. Counts live in a store that
+// implements:
+//
+//   {
+//     name: string,
+//     hit(key, windowMs) -> Promise<{ count, resetAt }>   (counts one request in the key's current window)
+//   }
+//
+// Only the in-memory store ships here; a store shared between instances
+// (Redis, a database, ...) just needs the same `hit`.
+
+const crypto = require('crypto');
+const { HttpError } = require('../errors');
+const { createMemoryRateLimitStore } = require('./memory');
+
+/**
+ * Picks the store from env config: RATE_LIMIT_STORE = memory (default).
+ */
+function createRateLimitStore(env = process.env) {
+  switch ((env.RATE_LIMIT_STORE || 'memory').toLowerCase()) {
+    case 'memory':
+      return createMemoryRateLimitStore({ maxKeys: Number(env.RATE_LIMIT_MAX_KEYS) || undefined });
+    default:
+      throw new Error(`Unknown RATE_LIMIT_STORE "${env.RATE_LIMIT_STORE}".`);
+  }
+}
+
+// Keys are only ever kept hashed
+const hashKey = (apiKey) => crypto.createHash('sha256').update(apiKey).digest('hex').slice(0, 16);
+
+/**
+ * Express middleware allowing `max` requests per IP (or `apiKeyMax` per API
+ * key) every `windowMs`. Answers 401 for an unknown API key and 429 once the
+ * limit is reached. If the store fails, the request is let through.
+ *
+ * @param {object} options
+ * @param {string} options.name  Separates the counters of different limiters in a shared store.
+ * @param {object} options.store
+ * @param {number} options.windowMs
+ * @param {number} options.max
+ * @param {number} options.apiKeyMax
+ * @param {Set<string>} options.apiKeys
+ */
+function createRateLimiter({ name, store, windowMs, max, apiKeyMax, apiKeys }) {
+  return async (req, res, next) => {
+    const apiKey = req.get('X-API-Key');
+    if (apiKey != null && !apiKeys.has(apiKey)) return next(new HttpError(401, 'Unknown API key.'));
+    const limit = apiKey ? apiKeyMax : max;
+    const key = apiKey ? `${name}:key:${hashKey(apiKey)}` : `${name}:ip:${req.ip}`;
+
+    let window;
+    try {
+      window = await store.hit(key, windowMs);
+    } catch (error) {
+      console.error(`Rate limit store (${store.name}) failed:`, error.message);
+      return next();
+    }
+    const resetSeconds = Math.max(0, Math.ceil((window.resetAt - Date.now()) / 1000));
+    res.set({
+      'RateLimit-Limit': String(limit),
+      'RateLimit-Remaining': String(Math.max(0, limit - window.count)),
+      'RateLimit-Reset': String(resetSeconds),
+    });
+    if (window.count > limit) {
+      res.set('Retry-After', String(resetSeconds));
+      return next(new HttpError(429, `Too many requests. Try again in ${resetSeconds} seconds.`));
+    }
+    next();
+  };
+}
+
+/**
+ * The API's two limiters from env config: `api` for every route and the
+ * stricter `planner` for the routes that call the LLM.
+ *
+ *   API_KEYS                           comma-separated keys clients may send as X-API-Key
+ *   RATE_LIMIT_WINDOW_SECONDS          (default 60)
+ *   RATE_LIMIT_MAX                     requests per IP per window, all routes (default 120)
+ *   RATE_LIMIT_PLANNER_MAX             requests per IP per window, LLM routes (default 10)
+ *   RATE_LIMIT_API_KEY_MAX             the same per API key (default 600)
+ *   RATE_LIMIT_API_KEY_PLANNER_MAX     (default 60)
+ */
+function createRateLimits(env = process.env) {
+  const store = createRateLimitStore(env);
+  const windowMs = (Number(env.RATE_LIMIT_WINDOW_SECONDS) || 60) * 1000;
+  const apiKeys = new Set((env.API_KEYS || '').split(',').map(key => key.trim()).filter(Boolean));
+  const number = (value, fallback) => (value != null && value !== '' && Number.isFinite(Number(value)) ? Number(value) : fallback);
+  return {
+    store,
+    api: createRateLimiter({
+      name: 'api', store, windowMs, apiKeys,
+      max: number(env.RATE_LIMIT_MAX, 120),
+      apiKeyMax: number(env.RATE_LIMIT_API_KEY_MAX, 600),
+    }),
+    planner: createRateLimiter({
+      name: 'planner', store, windowMs, apiKeys,
+      max: number(env.RATE_LIMIT_PLANNER_MAX, 10),
+      apiKeyMax: number(env.RATE_LIMIT_API_KEY_PLANNER_MAX, 60),
+    }),
+  };
+}
+
+module.exports = { createRateLimitStore, createRateLimiter, createRateLimits, createMemoryRateLimitStore };
@@ -0,0 +1,38 @@
+// lib/rateLimit/memory.js
+//
+// Rate limit counters in this process's memory. Fine for a single instance;
+// several instances behind a load balancer each count on their own.
+
+const DEFAULT_MAX_KEYS = 10000;
+
+function createMemoryRateLimitStore({ maxKeys = DEFAULT_MAX_KEYS } = {}) {
+  const windows = new Map(); // key -> { count, resetAt }
+
+  // Drops expired windows, then the oldest ones if there are still too many
+  const prune = (now) => {
+    for (const [key, window] of windows) {
+      if (window.resetAt <= now) windows.delete(key);
+    }
+    for (const key of windows.keys()) {
+      if (windows.size <= maxKeys) break;
+      windows.delete(key);
+    }
+  };
+
+  return {
+    name: 'memory',
+    async hit(key, windowMs) {
+      const now = Date.now();
+      let window = windows.get(key);
+      if (!window || window.resetAt <= now) {
+        window = { count: 0, resetAt: now + windowMs };
+        windows.set(key, window);
+        if (windows.size > maxKeys) prune(now);
+      }
+      window.count++;
+      return { count: window.count, resetAt: window.resetAt };
+    },
+  };
+}
+
+module.exports = { createMemoryRateLimitStore };
@@ -0,0 +1,187 @@
+// lib/requestSchemas.js
+//
+// Request shapes for every API route, in the format lib/validation.js checks.
+// The length caps keep free text (which ends up in prompts) and plans sent
+// back by the client down to a sensible size.
+
+const { EXPORT_FORMATS } = require('./exporters');
+const { DIETARY_OPTIONS, MAX_GROUP_SIZE } = require('./preferences');
+const { MAX_VARIANTS } = require('./variants');
+
+const MAX_PROMPT_LENGTH = 1000;
+const MAX_INSTRUCTION_LENGTH = 500;
+const MAX_VIBE_LENGTH = 60;
+const MAX_NAME_LENGTH = 120;
+const MAX_ADDRESS_LENGTH = 300;
+const MAX_PLAN_STOPS = 20;
+
+const text = (maxLength, extra = {}) => ({ type: 'string', maxLength, ...extra });
+const clockTime = text(10);
+const isoDate = text(10, { pattern: /^\d{4}-\d{2}-\d{2}$/ });
+const latitude = { type: 'number', min: -90, max: 90 };
+// Query strings only carry text; the route turns these into numbers
+const decimalText = text(20, { pattern: /^-?\d+(\.\d+)?$/ });
+const wholeNumberText = text(6, { pattern: /^\d+$/ });
+const longitude = { type: 'number', min: -180, max: 180 };
+
+const budget = {
+  type: 'object',
+  nullable: true,
+  properties: {
+    currency: text(3),
+    maxTotal: { type: 'number', min: 0, nullable: true },
+  },
+};
+
+const preferences = {
+  type: 'object',
+  nullable: true,
+  properties: {
+    wheelchair: { type: 'boolean' },
+    dietary: { type: 'array', maxItems: DIETARY_OPTIONS.length, items: text(20) },
+    petFriendly: { type: 'boolean' },
+    groupSize: { type: 'integer', min: 1, max: MAX_GROUP_SIZE },
+    adultsOnly: { type: 'boolean' },
+  },
+};
+
+const place = {
+  name: text(MAX_NAME_LENGTH),
+  description: text(1000),
+  address: text(MAX_ADDRESS_LENGTH),
+  type: text(20),
+  lat: latitude,
+  lng: longitude,
+};
+
+const stop = {
+  type: 'object',
+  required: ['name', 'lat', 'lng'],
+  properties: {
+    ...place,
+    stopNumber: { type: 'integer', min: 1 },
+    startTime: clockTime,
+    pinnedStartTime: { ...clockTime, nullable: true },
+    duration: text(40),
+    estimatedCost: { type: 'number', min: 0, nullable: true },
+    indoorAlternate: { type: 'object', nullable: true, properties: place },
+  },
+};
+
+const plan = {
+  type: 'object',
+  required: ['stops'],
+  properties: {
+    planTitle: text(MAX_NAME_LENGTH),
+    stops: { type: 'array', minItems: 1, maxItems: MAX_PLAN_STOPS, items: stop },
+    schedule: { type: 'object', nullable: true },
+    budget: { type: 'object', nullable: true },
+    conditions: { type: 'object', nullable: true, properties: { date: { ...isoDate, nullable: true } } },
+    preferences,
+  },
+};
+
+const generatePlan = {
+  type: 'object',
+  properties: {
+    prompt: text(MAX_PROMPT_LENGTH),
+    location: { type: 'object', nullable: true, required: ['lat', 'lng'], properties: { lat: latitude, lng: longitude } },
+    locationName: text(MAX_NAME_LENGTH),
+    dateVibe: text(MAX_VIBE_LENGTH),
+    transportMode: text(20),
+    isAdult: { type: 'boolean' },
+    startTime: clockTime,
+    endTime: clockTime,
+    date: { type: 'string', maxLength: 10, nullable: true },
+    budget,
+    priceLevel: { type: ['integer', 'string'], maxLength: 4, nullable: true },
+    preferences,
+    variants: { type: 'integer', min: 1, max: MAX_VARIANTS, nullable: true },
+    save: { type: 'boolean' },
+  },
+};
+
+const generateTrip = {
+  type: 'object',
+  required: ['destination', 'startDate', 'endDate'],
+  properties: {
+    destination: text(MAX_NAME_LENGTH, { minLength: 1 }),
+    startDate: isoDate,
+    endDate: isoDate,
+    lodging: text(MAX_ADDRESS_LENGTH),
+    dateVibe: text(MAX_VIBE_LENGTH),
+    transportMode: text(20),
+    isAdult: { type: 'boolean' },
+    startTime: clockTime,
+    endTime: clockTime,
+    budget,
+    priceLevel: generatePlan.properties.priceLevel,
+    preferences,
+  },
+};
+
+const freshQuery = { type: 'object', properties: { fresh: { type: 'string', enum: ['true', 'false'] } } };
+
+const planId = { type: 'object', required: ['id'], properties: { id: text(64, { pattern: /^[\w-]+$/ }) } };
+const exportFormat = { format: { type: 'string', enum: Object.keys(EXPORT_FORMATS) } };
+const exportQuery = { type: 'object', properties: { date: isoDate } };
+
+const stopAlternatives = {
+  type: 'object',
+  required: ['lat', 'lng', 'type'],
+  properties: {
+    lat: decimalText,
+    lng: decimalText,
+    type: text(20),
+    radius: wholeNumberText,
+    limit: wholeNumberText,
+    vibe: text(MAX_VIBE_LENGTH),
+    exclude: text(MAX_PLAN_STOPS * (MAX_NAME_LENGTH + 1)),
+  },
+};
+
+const REQUEST_SCHEMAS = {
+  generatePlan: { body: generatePlan, query: freshQuery },
+  generateTrip: { body: generateTrip },
+  savePlan: { body: plan },
+  planById: { params: planId },
+  exportPlan: { body: plan, params: { type: 'object', properties: exportFormat }, query: exportQuery },
+  exportSavedPlan: { params: { ...planId, properties: { ...planId.properties, ...exportFormat } }, query: exportQuery },
+  refinePlan: {
+    body: {
+      type: 'object',
+      required: ['plan'],
+      properties: {
+        plan,
+        instruction: text(MAX_INSTRUCTION_LENGTH),
+        stopNumber: { type: 'integer', min: 1, nullable: true },
+        transportMode: text(20),
+        startTime: clockTime,
+        endTime: clockTime,
+        budget,
+      },
+    },
+  },
+  recomputePlan: {
+    body: { type: 'object', required: ['plan'], properties: { plan, transportMode: text(20) } },
+  },
+  optimizePlan: {
+    body: {
+      type: 'object',
+      required: ['plan'],
+      properties: {
+        plan,
+        transportMode: text(20),
+        startTime: clockTime,
+        endTime: clockTime,
+        keepFirst: { type: 'boolean' },
+        keepLast: { type: 'boolean' },
+      },
+    },
+  },
+  stopAlternatives: { query: stopAlternatives },
+};
+
+module.exports = {
+  MAX_PROMPT_LENGTH, MAX_INSTRUCTION_LENGTH, MAX_VIBE_LENGTH, MAX_NAME_LENGTH, MAX_ADDRESS_LENGTH, MAX_PLAN_STOPS, REQUEST_SCHEMAS,
+};
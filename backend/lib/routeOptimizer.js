@@ -0,0 +1,200 @@
+// lib/routeOptimizer.js
+//
+// Reorders a plan's stops to cut down on travel: a small travelling-salesman
+// search over straight-line distances, with the first (and optionally last)
+// stop held in place, or the day starting and ending at a fixed point such as
+// a hotel, food stops kept around lunch or dinner time, outdoor stops before
+// sunset and every stop within its opening hours. Real
+// legs are computed afterwards by the routing provider, so the estimates here
+// only need to rank orders, not be exact.
+
+const { haversineKm } = require('./geo');
+const { SPEED_PROFILES, normalizeTransportMode } = require('./routing');
+const { OUTDOOR_TYPES } = require('./stopValidation');
+const { parseClockTime, parseDuration, toDate, openingConflicts } = require('./schedule');
+const { parseOpeningHours } = require('./openingHours');
+
+const MEAL_TYPES = ['Food'];
+const MEAL_WINDOWS = [
+  { name: 'lunch', from: 12 * 60, to: 14 * 60 + 30 },
+  { name: 'dinner', from: 19 * 60, to: 21 * 60 + 30 },
+];
+// How much extra travel is worth one minute closer to a mealtime
+const MEAL_PENALTY_METERS_PER_MINUTE = 200;
+// ... one minute earlier for an outdoor stop that starts after sunset
+const DARK_PENALTY_METERS_PER_MINUTE = 200;
+// ... one stop fewer that is closed (or closes) while it's being visited
+const HOURS_PENALTY_METERS = 25000;
+const DEFAULT_DURATION_MINUTES = 60;
+const EXACT_SEARCH_LIMIT = 8; // movable stops; 8! orders is still quick
+
+/**
+ * Estimated distance (meters) and travel time (minutes) from each of `from` to each of `to`.
+ */
+function buildMatrix(from, to, transportMode) {
+  const profile = SPEED_PROFILES[normalizeTransportMode(transportMode) || 'Driving'];
+  return from.map(a => to.map(b => {
+    const km = haversineKm(a, b) * profile.detour;
+    return { meters: km * 1000, minutes: (km / profile.kmh) * 60 };
+  }));
+}
+
+/**
+ * Scores one visiting order (indices into `stops`): estimated meters travelled,
+ * plus a penalty for every minute a food stop starts outside a mealtime the
+ * plan spans, every minute an outdoor stop starts after `sunsetMinutes`, and
+ * every stop visited outside its opening hours (`weeks`, parsed) on `day`.
+ * The legs from `origin` and, once the order is complete, back to
+ * `destination` count too.
+ */
+function scoreOrder(order, { stops, matrix, fromOrigin, toDestination, startMinutes, sunsetMinutes, day, weeks }) {
+  let meters = 0;
+  let clock = startMinutes;
+  let darkMinutes = 0;
+  let hoursConflicts = 0;
+  const mealStarts = [];
+  order.forEach((index, i) => {
+    const stop = stops[index];
+    const leg = i > 0 ? matrix[order[i - 1]][index] : fromOrigin && fromOrigin[index];
+    if (leg) {
+      meters += leg.meters;
+      clock += leg.minutes;
+    }
+    const end = clock + (parseDuration(stop.duration) ?? DEFAULT_DURATION_MINUTES);
+    if (MEAL_TYPES.includes(stop.type)) mealStarts.push(clock);
+    if (OUTDOOR_TYPES.includes(stop.type) && sunsetMinutes != null) darkMinutes += Math.max(0, clock - sunsetMinutes);
+    if (weeks[index]) hoursConflicts += openingConflicts(stop, day, Math.round(clock), Math.round(end), weeks[index]).length;
+    clock = end;
+  });
+  if (toDestination && order.length === stops.length) meters += toDestination[order[order.length - 1]].meters;
+
+  const windows = MEAL_WINDOWS.filter(w => w.from < clock && w.to > startMinutes);
+  let mealMinutesOff = 0;
+  if (windows.length > 0) {
+    for (const start of mealStarts) {
+      mealMinutesOff += Math.min(...windows.map(w => Math.max(0, w.from - start, start - w.to)));
+    }
+  }
+  const score = meters
+    + mealMinutesOff * MEAL_PENALTY_METERS_PER_MINUTE
+    + darkMinutes * DARK_PENALTY_METERS_PER_MINUTE
+    + hoursConflicts * HOURS_PENALTY_METERS;
+  return { meters, mealMinutesOff, darkMinutes, hoursConflicts, score };
+}
+
+// Tries every arrangement of `movable` between the fixed ends, pruning on what a
+// prefix already costs (everything but the mealtimes, which depend on the whole order)
+function exactSearch(head, movable, tail, context) {
+  let best = null;
+  const visit = (prefix, remaining) => {
+    if (remaining.length === 0) {
+      const result = scoreOrder([...prefix, ...tail], context);
+      if (!best || result.score < best.score) best = { ...result, order: [...prefix, ...tail] };
+      return;
+    }
+    if (best) {
+      const sofar = scoreOrder(prefix, context);
+      const floor = sofar.score - sofar.mealMinutesOff * MEAL_PENALTY_METERS_PER_MINUTE;
+      if (floor >= best.score) return;
+    }
+    remaining.forEach((index, i) => visit([...prefix, index], [...remaining.slice(0, i), ...remaining.slice(i + 1)]));
+  };
+  visit(head, movable);
+  return best;
+}
+
+// Nearest neighbour, then 2-opt moves until nothing improves
+function heuristicSearch(head, movable, tail, context) {
+  const order = [...movable];
+  for (let i = 0; i < order.length; i++) {
+    const from = i === 0 ? head[head.length - 1] : order[i - 1];
+    if (from == null) continue;
+    let nearest = i;
+    for (let j = i + 1; j < order.length; j++) {
+      if (context.matrix[from][order[j]].meters < context.matrix[from][order[nearest]].meters) nearest = j;
+    }
+    [order[i], order[nearest]] = [order[nearest], order[i]];
+  }
+
+  let best = { ...scoreOrder([...head, ...order, ...tail], context), order: [...head, ...order, ...tail] };
+  let improved = true;
+  while (improved) {
+    improved = false;
+    for (let i = 0; i < order.length - 1; i++) {
+      for (let j = i + 1; j < order.length; j++) {
+        const candidate = [...order.slice(0, i), ...order.slice(i, j + 1).reverse(), ...order.slice(j + 1)];
+        const result = scoreOrder([...head, ...candidate, ...tail], context);
+        if (result.score < best.score - 1e-6) {
+          order.splice(0, order.length, ...candidate);
+          best = { ...result, order: [...head, ...candidate, ...tail] };
+          improved = true;
+        }
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * Finds a better visiting order for `stops` (given in their current order).
+ *
+ * @param {object[]} stops
+ * @param {object} [options]
+ * @param {string} [options.transportMode]  Picks the speed used for the time estimates.
+ * @param {string} [options.startTime]  "HH:MM"; defaults to the first stop's own time.
+ * @param {string|Date} [options.date]  Day of the outing, for opening hours. Defaults to today, as in scheduleStops.
+ * @param {string} [options.sunset]  "HH:MM"; outdoor stops should start before it. Not checked when absent.
+ * @param {boolean} [options.keepFirst]  Keep the first stop first (default true, false with an `origin`).
+ * @param {boolean} [options.keepLast]  Keep the last stop last (default false).
+ * @param {{lat: number, lng: number}} [options.origin]  Where the day starts, e.g. the hotel; not a stop itself.
+ * @param {{lat: number, lng: number}} [options.destination]  Where the day ends.
+ * @returns {{ stops: object[], changed: boolean, estimatedMetersBefore: number, estimatedMetersAfter: number, mealMinutesOff: number, darkMinutes: number, hoursConflicts: number, score: number }}
+ *   `score` is what the search minimizes (meters plus the mealtime, sunset and opening-hours penalties), for comparing orders.
+ */
+function optimizeStopOrder(stops, { transportMode, startTime, date, sunset, origin, destination, keepFirst = !origin, keepLast = false } = {}) {
+  const context = {
+    stops,
+    matrix: buildMatrix(stops, stops, transportMode),
+    fromOrigin: origin && buildMatrix([origin], stops, transportMode)[0],
+    toDestination: destination && buildMatrix(stops, [destination], transportMode).map(row => row[0]),
+    startMinutes: parseClockTime(startTime) ?? parseClockTime(stops[0] && stops[0].startTime) ?? 18 * 60,
+    sunsetMinutes: parseClockTime(sunset),
+    day: toDate(date),
+    weeks: stops.map(stop => parseOpeningHours(stop.openingHours)),
+  };
+  const indices = stops.map((_, i) => i);
+  const before = scoreOrder(indices, context);
+  if (stops.length < (origin || destination ? 2 : 3)) {
+    const meters = Math.round(before.meters);
+    return {
+      stops,
+      changed: false,
+      estimatedMetersBefore: meters,
+      estimatedMetersAfter: meters,
+      mealMinutesOff: Math.round(before.mealMinutesOff),
+      darkMinutes: Math.round(before.darkMinutes),
+      hoursConflicts: before.hoursConflicts,
+      score: Math.round(before.score),
+    };
+  }
+
+  const head = keepFirst ? [0] : [];
+  const tail = keepLast ? [stops.length - 1] : [];
+  const movable = indices.slice(head.length, stops.length - tail.length);
+  const search = movable.length <= EXACT_SEARCH_LIMIT ? exactSearch : heuristicSearch;
+  let best = search(head, movable, tail, context);
+  if (best.score >= before.score) best = { ...before, order: indices }; // never make it worse
+
+  return {
+    stops: best.order.map(i => stops[i]),
+    changed: best.order.some((index, i) => index !== i),
+    estimatedMetersBefore: Math.round(before.meters),
+    estimatedMetersAfter: Math.round(best.meters),
+    mealMinutesOff: Math.round(best.mealMinutesOff),
+    darkMinutes: Math.round(best.darkMinutes),
+    hoursConflicts: best.hoursConflicts,
+    score: Math.round(best.score),
+  };
+}
+
+module.exports = { MEAL_WINDOWS, optimizeStopOrder };
@@ -0,0 +1,214 @@
+// lib/routing.js
+//
+// Travel legs between stops, computed from their coordinates instead of being
+// guessed by the model. Every provider implements the same interface:
+//
+//   {
+//     name: string,
+//     supports(mode): boolean,
+//     route(from, to, mode): Promise<{ distanceMeters, durationSeconds, polyline }>
+//   }
+//
+// `from`/`to` are { lat, lng } and `mode` is one of TRANSPORT_MODES.
+
+const axios = require('axios');
+const { haversineKm } = require('./geo');
+const { encodePolyline } = require('./polyline');
+
+const TRANSPORT_MODES = ['Driving', 'Walking', 'Transit'];
+
+// Average door-to-door speeds in a city, and how much longer than a straight
+// line the real path tends to be. Only used by the offline estimate.
+const SPEED_PROFILES = {
+  Driving: { kmh: 25, detour: 1.4 },
+  Walking: { kmh: 4.8, detour: 1.3 },
+  Transit: { kmh: 18, detour: 1.5 },
+};
+
+/**
+ * Maps the free-text mode the model or the user gave to one of TRANSPORT_MODES.
+ */
+function normalizeTransportMode(value) {
+  if (typeof value !== 'string') return null;
+  const v = value.toLowerCase();
+  if (/walk|foot|stroll/.test(v)) return 'Walking';
+  if (/transit|bus|metro|train|subway|rail|tram|local/.test(v)) return 'Transit';
+  if (/driv|car|taxi|cab|uber|ola|auto|rickshaw/.test(v)) return 'Driving';
+  return null;
+}
+
+/**
+ * Formats seconds the same way the model used to, e.g. "15 minutes" or "1 hr 20 min".
+ */
+function formatDuration(seconds) {
+  const minutes = Math.max(1, Math.round(seconds / 60));
+  if (minutes < 60) return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return rest ? `${hours} hr ${rest} min` : `${hours} hr`;
+}
+
+// --- PROVIDERS ---
+
+/**
+ * Offline estimate: straight-line distance scaled by a detour factor and a
+ * per-mode average speed. Never fails, so it's the fallback for everything else.
+ */
+function createHaversineProvider() {
+  return {
+    name: 'haversine',
+    supports: (mode) => mode in SPEED_PROFILES,
+    async route(from, to, mode) {
+      const profile = SPEED_PROFILES[mode];
+      const distanceKm = haversineKm(from, to) * profile.detour;
+      return {
+        distanceMeters: Math.round(distanceKm * 1000),
+        durationSeconds: Math.round((distanceKm / profile.kmh) * 3600),
+        polyline: encodePolyline([from, to]),
+      };
+    },
+  };
+}
+
+/**
+ * OSRM (the public demo server by default, or a self-hosted one via OSRM_URL).
+ */
+function createOsrmProvider({ baseUrl = 'https://router.project-osrm.org' } = {}) {
+  const profiles = { Driving: 'driving', Walking: 'foot' };
+  return {
+    name: 'osrm',
+    supports: (mode) => mode in profiles,
+    async route(from, to, mode) {
+      const url = `${baseUrl}/route/v1/${profiles[mode]}/${from.lng},${from.lat};${to.lng},${to.lat}?overview=full&geometries=polyline`;
+      const response = await axios.get(url, { headers: { 'User-Agent': 'AI-Date-Planner-Server' }, timeout: 10000 });
+      const route = response.data && response.data.routes && response.data.routes[0];
+      if (!route) throw new Error(`OSRM returned no route (${response.data && response.data.code}).`);
+      return {
+        distanceMeters: Math.round(route.distance),
+        durationSeconds: Math.round(route.duration),
+        polyline: route.geometry,
+      };
+    },
+  };
+}
+
+/**
+ * OpenRouteService directions API. Needs ORS_API_KEY.
+ */
+function createOpenRouteServiceProvider({ apiKey, baseUrl = 'https://api.openrouteservice.org' }) {
+  const profiles = { Driving: 'driving-car', Walking: 'foot-walking' };
+  return {
+    name: 'openrouteservice',
+    supports: (mode) => mode in profiles,
+    async route(from, to, mode) {
+      const response = await axios.post(
+        `${baseUrl}/v2/directions/${profiles[mode]}`,
+        { coordinates: [[from.lng, from.lat], [to.lng, to.lat]] },
+        { headers: { Authorization: apiKey }, timeout: 10000 }
+      );
+      const route = response.data && response.data.routes && response.data.routes[0];
+      if (!route) throw new Error('OpenRouteService returned no route.');
+      return {
+        distanceMeters: Math.round(route.summary.distance),
+        durationSeconds: Math.round(route.summary.duration),
+        polyline: route.geometry,
+      };
+    },
+  };
+}
+
+/**
+ * Picks the provider from env config: ROUTING_PROVIDER = osrm | openrouteservice | haversine.
+ */
+function createRoutingProvider(env = process.env) {
+  switch ((env.ROUTING_PROVIDER || 'osrm').toLowerCase()) {
+    case 'haversine':
+      return createHaversineProvider();
+    case 'openrouteservice':
+    case 'ors':
+      if (!env.ORS_API_KEY) throw new Error('ROUTING_PROVIDER=openrouteservice needs ORS_API_KEY.');
+      return createOpenRouteServiceProvider({ apiKey: env.ORS_API_KEY, baseUrl: env.ORS_URL });
+    case 'osrm':
+      return createOsrmProvider({ baseUrl: env.OSRM_URL });
+    default:
+      throw new Error(`Unknown ROUTING_PROVIDER "${env.ROUTING_PROVIDER}".`);
+  }
+}
+
+const fallbackProvider = createHaversineProvider();
+
+/**
+ * Computes the leg from one stop to the next. Falls back to the offline
+ * estimate when the provider doesn't handle the mode (e.g. Transit) or fails.
+ */
+async function computeLeg(from, to, mode, provider) {
+  let result;
+  let source = provider.name;
+  if (provider.supports(mode)) {
+    try {
+      result = await provider.route(from, to, mode);
+    } catch (error) {
+      console.error(`Routing Error (${provider.name}):`, error.message);
+    }
+  }
+  if (!result) {
+    result = await fallbackProvider.route(from, to, mode);
+    source = fallbackProvider.name;
+  }
+  return {
+    transportMode: mode,
+    travelTime: formatDuration(result.durationSeconds),
+    distanceMeters: result.distanceMeters,
+    durationSeconds: result.durationSeconds,
+    polyline: result.polyline,
+    routingProvider: source,
+  };
+}
+
+/**
+ * Chooses the mode for one leg: the user's pick, else the hint (e.g. the
+ * model's guess), else walking for short hops and driving for the rest.
+ */
+function pickLegMode(from, to, { transportMode, hint } = {}) {
+  return normalizeTransportMode(transportMode)
+    || normalizeTransportMode(hint)
+    || (haversineKm(from, to) <= 1.5 ? 'Walking' : 'Driving');
+}
+
+/**
+ * Attaches a computed `travelToNext` to every stop but the last.
+ *
+ * @param {object[]} stops  Stops in visiting order.
+ * @param {object} options
+ * @param {object} options.provider  A routing provider.
+ * @param {string} [options.transportMode]  Mode the user picked; wins over any hint.
+ * @param {Function} [options.modeHint]  `(stop, next) => string` fallback mode per leg (e.g. the model's guess).
+ */
+async function attachTravelLegs(stops, { provider, transportMode, modeHint = () => null }) {
+  const result = [];
+  for (let i = 0; i < stops.length; i++) {
+    const stop = { ...stops[i] };
+    delete stop.travelToNext;
+    const next = stops[i + 1];
+    if (next) {
+      const mode = pickLegMode(stop, next, { transportMode, hint: modeHint(stops[i], next) });
+      stop.travelToNext = await computeLeg(stop, next, mode, provider);
+    }
+    result.push(stop);
+  }
+  return result;
+}
+
+module.exports = {
+  TRANSPORT_MODES,
+  SPEED_PROFILES,
+  normalizeTransportMode,
+  formatDuration,
+  createHaversineProvider,
+  createOsrmProvider,
+  createOpenRouteServiceProvider,
+  createRoutingProvider,
+  computeLeg,
+  pickLegMode,
+  attachTravelLegs,
+};
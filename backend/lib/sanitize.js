@@ -0,0 +1,26 @@
+// lib/sanitize.js
+//
+// Cleans text that came from a client before it's written into a prompt.
+
+// Control characters, zero-width and bidi-override characters, line/paragraph separators
+const INVISIBLE_CHARACTERS = /[\u0000-\u001f\u007f-\u009f\u200b-\u200f\u2028-\u202e\u2060-\u2069\ufeff]/g;
+
+/**
+ * Makes `value` safe to quote inside a prompt line: no line breaks or
+ * invisible characters (so it can't start new instructions of its own), no
+ * double quotes or backticks (so it can't close the quotes it's put in),
+ * whitespace collapsed and at most `maxLength` characters. Anything that
+ * isn't a string becomes ''.
+ */
+function sanitizePromptText(value, { maxLength = 200 } = {}) {
+  if (typeof value !== 'string') return '';
+  return value
+    .normalize('NFKC')
+    .replace(INVISIBLE_CHARACTERS, ' ')
+    .replace(/["`]/g, "'")
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, maxLength);
+}
+
+module.exports = { sanitizePromptText };
@@ -0,0 +1,169 @@
+// lib/schedule.js
+//
+// Turns the model's free-text times ("09:00", "1.5 hours") into real values and
+// lays the stops out on a timeline: each stop starts when the previous one
+// ends plus the travel leg between them. Problems are reported per stop as
+// `scheduleConflicts` instead of being silently fixed.
+
+const { parseOpeningHours, findOpenInterval } = require('./openingHours');
+
+const MINUTES_PER_DAY = 24 * 60;
+const DEFAULT_DURATION_MINUTES = 60;
+const DEFAULT_START = 10 * 60;
+
+/**
+ * Parses a clock time such as "09:00", "9:30 pm", "7pm" or "19h" into minutes
+ * after midnight. Returns null when it isn't one.
+ */
+function parseClockTime(text) {
+  if (typeof text !== 'string') return null;
+  const match = text.trim().toLowerCase().match(/^(\d{1,2})(?:[:.h](\d{2}))?\s*h?\s*(am|pm|a\.m\.|p\.m\.)?$/);
+  if (!match) return null;
+  let hours = Number(match[1]);
+  const minutes = match[2] ? Number(match[2]) : 0;
+  const meridiem = match[3] && match[3][0];
+  if (minutes > 59) return null;
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null;
+    hours = (hours % 12) + (meridiem === 'p' ? 12 : 0);
+  } else if (hours > 24 || (!match[2] && !text.includes('h'))) {
+    return null; // a bare number like "9" is too ambiguous
+  }
+  return (hours % 24) * 60 + minutes;
+}
+
+/**
+ * Parses a duration such as "1.5 hours", "90 minutes", "1 hr 30 min" or "2h"
+ * into minutes. Returns null when nothing in it looks like a duration.
+ */
+function parseDuration(text) {
+  if (typeof text === 'number') return text > 0 ? Math.round(text) : null;
+  if (typeof text !== 'string') return null;
+  const lower = text.toLowerCase();
+  let total = 0;
+  let found = false;
+  for (const [, amount, unit] of lower.matchAll(/(\d+(?:\.\d+)?)\s*(hours?|hrs?|h|minutes?|mins?|m)\b/g)) {
+    total += unit.startsWith('h') ? Number(amount) * 60 : Number(amount);
+    found = true;
+  }
+  if (!found) {
+    const hhmm = lower.match(/^\s*(\d{1,2}):(\d{2})\s*$/);
+    if (hhmm) return Number(hhmm[1]) * 60 + Number(hhmm[2]);
+    return null;
+  }
+  return total > 0 ? Math.round(total) : null;
+}
+
+/**
+ * Formats minutes after midnight as "HH:MM", wrapping past midnight.
+ */
+function formatClockTime(minutes) {
+  const m = ((Math.round(minutes) % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  return `${String(Math.floor(m / 60)).padStart(2, '0')}:${String(m % 60).padStart(2, '0')}`;
+}
+
+function toDate(value) {
+  if (value instanceof Date) return value;
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) return new Date(`${value}T00:00:00`);
+  return new Date();
+}
+
+/**
+ * Whether `stop` is open from `start` to `end` (minutes after midnight of `day`,
+ * may run past 1440) by its `openingHours`, or by `week` when the caller has
+ * parsed them already. Returns the conflicts, if any.
+ */
+function openingConflicts(stop, day, start, end, week = parseOpeningHours(stop.openingHours)) {
+  if (!week) return [];
+  const open = findOpenInterval(week, day, start);
+  if (!open) return [{ type: 'closed', message: `${stop.name || 'This venue'} is closed at ${formatClockTime(start)}.` }];
+  if (open.closesAt < end) return [{ type: 'closes-early', message: `${stop.name || 'This venue'} closes at ${formatClockTime(open.closesAt)}, before this stop ends.` }];
+  return [];
+}
+
+/**
+ * Recomputes the timeline of a plan.
+ *
+ * A stop may carry a `pinnedStartTime` ("HH:MM") that the scheduler must
+ * respect; arriving after it is reported as an overlap with the previous stop.
+ * A stop's `indoorAlternate` gets the same slot, checked against its own hours.
+ *
+ * @param {object[]} stops  Stops in visiting order, with `travelToNext.durationSeconds` where known.
+ * @param {object} [options]
+ * @param {string} [options.startTime]  When the plan starts ("HH:MM"). Defaults to the first stop's own time.
+ * @param {string} [options.endTime]  When the plan must be over ("HH:MM"); may be after midnight.
+ * @param {string|Date} [options.date]  Day of the outing, for opening hours. Defaults to today.
+ * @returns {{ stops: object[], schedule: object }}
+ */
+function scheduleStops(stops, { startTime, endTime, date } = {}) {
+  const day = toDate(date);
+  const planStart = parseClockTime(startTime) ?? parseClockTime(stops[0] && stops[0].startTime) ?? DEFAULT_START;
+  let planEnd = parseClockTime(endTime);
+  if (planEnd != null && planEnd <= planStart) planEnd += MINUTES_PER_DAY;
+
+  let cursor = planStart;
+  let lastEnd = planStart;
+  let conflictCount = 0;
+  const scheduled = stops.map((stop, index) => {
+    const conflicts = [];
+
+    let start = cursor;
+    const pinned = parseClockTime(stop.pinnedStartTime);
+    if (pinned != null) {
+      // Pins are clock times; put them on the same day as the cursor (or the next one)
+      let pinnedAt = pinned + Math.floor(cursor / MINUTES_PER_DAY) * MINUTES_PER_DAY;
+      if (pinnedAt < planStart) pinnedAt += MINUTES_PER_DAY;
+      if (pinnedAt < cursor && index > 0) {
+        conflicts.push({
+          type: 'overlap',
+          message: `Pinned to ${formatClockTime(pinnedAt)}, but the previous stop and travel run until ${formatClockTime(cursor)}.`,
+        });
+      }
+      start = pinnedAt;
+    }
+
+    let durationMinutes = parseDuration(stop.duration);
+    if (durationMinutes == null) {
+      durationMinutes = DEFAULT_DURATION_MINUTES;
+      conflicts.push({ type: 'duration', message: `Couldn't read the duration "${stop.duration}", assuming ${DEFAULT_DURATION_MINUTES} minutes.` });
+    }
+    const end = start + durationMinutes;
+
+    if (planEnd != null && end > planEnd) {
+      conflicts.push({
+        type: 'past-end',
+        message: start >= planEnd
+          ? `Starts after the plan's end time of ${formatClockTime(planEnd)}.`
+          : `Runs ${end - planEnd} minutes past the plan's end time of ${formatClockTime(planEnd)}.`,
+      });
+    }
+
+    conflicts.push(...openingConflicts(stop, day, start, end));
+
+    const travelMinutes = stop.travelToNext && Number.isFinite(stop.travelToNext.durationSeconds)
+      ? Math.round(stop.travelToNext.durationSeconds / 60)
+      : 0;
+    cursor = end + travelMinutes;
+    lastEnd = end;
+    conflictCount += conflicts.length;
+
+    const slot = { startTime: formatClockTime(start), endTime: formatClockTime(end), durationMinutes };
+    const scheduled = { ...stop, ...slot, scheduleConflicts: conflicts };
+    if (stop.indoorAlternate) {
+      scheduled.indoorAlternate = { ...stop.indoorAlternate, ...slot, scheduleConflicts: openingConflicts(stop.indoorAlternate, day, start, end) };
+    }
+    return scheduled;
+  });
+
+  return {
+    stops: scheduled,
+    schedule: {
+      startTime: formatClockTime(planStart),
+      endTime: planEnd != null ? formatClockTime(planEnd) : null,
+      finishesAt: formatClockTime(lastEnd),
+      conflictCount,
+    },
+  };
+}
+
+module.exports = { parseClockTime, parseDuration, formatClockTime, toDate, openingConflicts, scheduleStops };
@@ -0,0 +1,32 @@
+// lib/sse.js
+
+/**
+ * Switches an Express response into a Server-Sent Events stream.
+ * `send` is a no-op once the client has gone away, so producers don't need
+ * to check before every event.
+ */
+function openEventStream(res) {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  res.flushHeaders();
+
+  const stream = {
+    closed: false,
+    send(event, data) {
+      if (stream.closed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    close() {
+      if (stream.closed) return;
+      stream.closed = true;
+      res.end();
+    },
+  };
+  res.on('close', () => { stream.closed = true; });
+  return stream;
+}
+
+module.exports = { openEventStream };
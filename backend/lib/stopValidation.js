@@ -0,0 +1,179 @@
+// lib/stopValidation.js
+//
+// Server-side checks for the stops Gemini emits through `create_date_stop`.
+// Nothing here talks to the model or to Nominatim directly: the caller passes
+// in a `lookupPlace` function so the checks stay easy to run in isolation.
+
+const { haversineKm, medianPoint, isValidLatLng } = require('./geo');
+const { parseCost, parsePriceLevel } = require('./budget');
+
+const STOP_TYPES = ['Food', 'Cafe', 'Bar', 'Activity', 'Park', 'Shop'];
+const DEFAULT_TYPE = 'Activity';
+const OUTDOOR_TYPES = ['Park', 'Activity']; // worse in the rain or the dark
+
+const MAX_AREA_DISTANCE_KM = 15;  // further than this from the requested area -> rejected
+const MATCH_DISTANCE_KM = 0.5;    // geocoded place this close to the model's coords -> accepted as-is
+
+const TEXT_FIELDS = ['description', 'address', 'startTime', 'duration'];
+
+const normalizeName = (name) => name.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+/**
+ * Checks a single raw stop against the `create_date_stop` schema.
+ * Returns the cleaned-up stop plus the notes for anything that had to be fixed,
+ * or `errors` if the stop can't be used at all.
+ */
+function checkStopSchema(raw) {
+  const errors = [];
+  const notes = [];
+  if (!raw || typeof raw !== 'object') return { errors: ['Stop is not an object.'] };
+
+  const stop = { ...raw };
+
+  stop.name = typeof raw.name === 'string' ? raw.name.trim() : '';
+  if (!stop.name) errors.push('Missing name.');
+
+  stop.lat = parseFloat(raw.lat);
+  stop.lng = parseFloat(raw.lng);
+  if (!isValidLatLng(stop.lat, stop.lng)) errors.push('Missing or invalid coordinates.');
+
+  const stopNumber = Number(raw.stopNumber);
+  stop.stopNumber = Number.isInteger(stopNumber) && stopNumber > 0 ? stopNumber : null;
+
+  for (const field of TEXT_FIELDS) {
+    if (typeof raw[field] === 'string' && raw[field].trim()) {
+      stop[field] = raw[field].trim();
+    } else {
+      stop[field] = '';
+      notes.push(`Missing ${field}.`);
+    }
+  }
+
+  const type = typeof raw.type === 'string'
+    ? STOP_TYPES.find(t => t.toLowerCase() === raw.type.trim().toLowerCase())
+    : undefined;
+  if (type) {
+    stop.type = type;
+  } else {
+    stop.type = DEFAULT_TYPE;
+    notes.push(`Unknown type "${raw.type}", using ${DEFAULT_TYPE}.`);
+  }
+
+  // Cost fields are optional; keep them only when they're readable
+  stop.estimatedCost = parseCost(raw.estimatedCost);
+  stop.priceLevel = parsePriceLevel(raw.priceLevel);
+
+  return errors.length ? { errors } : { stop, notes };
+}
+
+/**
+ * Cross-checks a stop's name and address with the geocoder and snaps its
+ * coordinates to the real place when the model got them wrong.
+ */
+async function crossCheckStop(stop, notes, lookupPlace) {
+  let match;
+  try {
+    match = await lookupPlace(stop);
+  } catch (error) {
+    notes.push(`Could not verify this place (${error.message}).`);
+    return { stop, verified: false };
+  }
+
+  if (!match) {
+    notes.push('Could not find this place on the map; it may not exist.');
+    return { stop, verified: false };
+  }
+
+  const verified = match.matchedBy === 'name';
+  if (!verified) notes.push('Found the address, but not a place with this name there.');
+
+  if (match.openingHours) stop = { ...stop, openingHours: match.openingHours };
+
+  const offsetKm = haversineKm(stop, match);
+  if (offsetKm > MATCH_DISTANCE_KM) {
+    notes.push(`Coordinates moved ${offsetKm.toFixed(1)} km to match ${match.matchedBy === 'name' ? 'the named place' : 'the address'}.`);
+    return { stop: { ...stop, lat: match.lat, lng: match.lng }, verified };
+  }
+  return { stop, verified };
+}
+
+/**
+ * Runs every check on a batch of raw stops.
+ *
+ * @param {object[]} rawStops  `create_date_stop` args as emitted by the model.
+ * @param {object} options
+ * @param {{lat: number, lng: number}} [options.center]  Resolved location of the request.
+ *   Falls back to the median of the stops themselves when the request had none.
+ * @param {Function} options.lookupPlace  `async (stop) => ({ lat, lng, matchedBy } | null)`.
+ * @param {string[]} [options.existingNames]  Names already in the plan, to reject duplicates.
+ * @param {number} [options.maxDistanceKm]
+ * @returns {Promise<{ accepted: object[], rejected: { stop: object, reasons: string[] }[] }>}
+ */
+async function checkStops(rawStops, { center, lookupPlace, existingNames = [], maxDistanceKm = MAX_AREA_DISTANCE_KM }) {
+  const accepted = [];
+  const rejected = [];
+  const seenNames = new Set(existingNames.map(normalizeName));
+
+  const checked = rawStops.map(raw => ({ raw, ...checkStopSchema(raw) }));
+  const area = center || medianPoint(checked.filter(c => c.stop).map(c => c.stop));
+
+  // Sequential on purpose: Nominatim allows one request per second.
+  for (const { raw, stop, notes, errors } of checked) {
+    if (errors) {
+      rejected.push({ stop: raw, reasons: errors });
+      continue;
+    }
+
+    const key = normalizeName(stop.name);
+    if (seenNames.has(key)) {
+      rejected.push({ stop, reasons: [`Duplicate of another stop named "${stop.name}".`] });
+      continue;
+    }
+
+    const distanceKm = haversineKm(area, stop);
+    if (distanceKm > maxDistanceKm) {
+      rejected.push({ stop, reasons: [`${distanceKm.toFixed(1)} km away from the requested area.`] });
+      continue;
+    }
+
+    const result = await crossCheckStop(stop, notes, lookupPlace);
+    const snappedDistanceKm = haversineKm(area, result.stop);
+    if (snappedDistanceKm > maxDistanceKm) {
+      rejected.push({ stop, reasons: [...notes, `The real place is ${snappedDistanceKm.toFixed(1)} km away from the requested area.`] });
+      continue;
+    }
+
+    seenNames.add(key);
+    accepted.push({ ...result.stop, verified: result.verified, validationNotes: notes });
+  }
+
+  return { accepted, rejected };
+}
+
+/**
+ * Sorts stops by the model's `stopNumber` (stops without one go last, in the
+ * order they arrived) and renumbers them 1..n, noting each change unless
+ * `annotate` is false.
+ * Returns the renumbered stops and a map from the old numbers to the new ones
+ * so travel legs can follow.
+ */
+function renumberStops(stops, { annotate = true } = {}) {
+  const numberMap = new Map();
+  const ordered = stops
+    .map((stop, index) => ({ stop, index }))
+    .sort((a, b) => (a.stop.stopNumber ?? Infinity) - (b.stop.stopNumber ?? Infinity) || a.index - b.index)
+    .map(({ stop }, index) => {
+      const stopNumber = index + 1;
+      const notes = [...(stop.validationNotes || [])];
+      if (annotate && stop.stopNumber == null) {
+        notes.push(`Was missing a stop number; assigned ${stopNumber}.`);
+      } else if (annotate && stop.stopNumber !== stopNumber) {
+        notes.push(`Renumbered from ${stop.stopNumber} to ${stopNumber}.`);
+      }
+      if (stop.stopNumber != null && !numberMap.has(stop.stopNumber)) numberMap.set(stop.stopNumber, stopNumber);
+      return { ...stop, stopNumber, validationNotes: notes };
+    });
+  return { stops: ordered, numberMap };
+}
+
+module.exports = { STOP_TYPES, OUTDOOR_TYPES, normalizeName, checkStopSchema, checkStops, renumberStops };
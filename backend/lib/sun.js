@@ -0,0 +1,54 @@
+// lib/sun.js
+//
+// Sunrise and sunset from coordinates and a date, using the standard sunrise
+// equation (good to a minute or two, which is all a date plan needs).
+
+const { formatClockTime } = require('./schedule');
+
+const J2000 = 2451545.0;
+const UNIX_EPOCH_JD = 2440587.5;
+const MS_PER_DAY = 86400000;
+const OBLIQUITY = 23.4397;
+const SUN_ALTITUDE_AT_HORIZON = -0.833; // refraction plus the sun's radius
+
+const rad = (deg) => (deg * Math.PI) / 180;
+const deg = (r) => (r * 180) / Math.PI;
+
+/**
+ * @param {object} options
+ * @param {number} options.lat
+ * @param {number} options.lng
+ * @param {string} options.date  "YYYY-MM-DD"
+ * @param {number} [options.utcOffsetMinutes]  The place's offset from UTC. Defaults to a
+ *   guess from the longitude; pass the real one (e.g. from the forecast) when known.
+ * @returns {{ sunrise: string|null, sunset: string|null, polar: 'day'|'night'|null }}
+ *   Local "HH:MM" times; both null during polar day or night.
+ */
+function sunTimes({ lat, lng, date, utcOffsetMinutes = Math.round((lng / 15) * 60) }) {
+  const noonUtc = Date.parse(`${date}T12:00:00Z`);
+  const n = Math.ceil(noonUtc / MS_PER_DAY + UNIX_EPOCH_JD - J2000 + 0.0008);
+  const meanSolarTime = n - lng / 360;
+  const anomaly = (357.5291 + 0.98560028 * meanSolarTime) % 360;
+  const center = 1.9148 * Math.sin(rad(anomaly)) + 0.02 * Math.sin(rad(2 * anomaly)) + 0.0003 * Math.sin(rad(3 * anomaly));
+  const eclipticLongitude = (anomaly + center + 180 + 102.9372) % 360;
+  const transit = J2000 + meanSolarTime + 0.0053 * Math.sin(rad(anomaly)) - 0.0069 * Math.sin(rad(2 * eclipticLongitude));
+  const declination = Math.asin(Math.sin(rad(eclipticLongitude)) * Math.sin(rad(OBLIQUITY)));
+
+  const cosHourAngle = (Math.sin(rad(SUN_ALTITUDE_AT_HORIZON)) - Math.sin(rad(lat)) * Math.sin(declination))
+    / (Math.cos(rad(lat)) * Math.cos(declination));
+  if (cosHourAngle < -1) return { sunrise: null, sunset: null, polar: 'day' };
+  if (cosHourAngle > 1) return { sunrise: null, sunset: null, polar: 'night' };
+
+  const hourAngle = deg(Math.acos(cosHourAngle));
+  const toLocalClock = (julianDate) => {
+    const utc = new Date((julianDate - UNIX_EPOCH_JD) * MS_PER_DAY);
+    return formatClockTime(utc.getUTCHours() * 60 + utc.getUTCMinutes() + utcOffsetMinutes);
+  };
+  return {
+    sunrise: toLocalClock(transit - hourAngle / 360),
+    sunset: toLocalClock(transit + hourAngle / 360),
+    polar: null,
+  };
+}
+
+module.exports = { sunTimes };
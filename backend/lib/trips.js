@@ -0,0 +1,191 @@
+// lib/trips.js
+//
+// Multi-day trips: one itinerary per day of a date range, generated in a
+// single model call where every stop and leg carries the `day` it belongs to.
+// Afterwards no venue may appear on more than one day.
+
+const { normalizeName, checkStops } = require('./stopValidation');
+const { haversineKm } = require('./geo');
+const { collectFunctionCalls, replaceRejectedStops } = require('./planAssembly');
+const { optimizeStopOrder } = require('./routeOptimizer');
+
+const MAX_TRIP_DAYS = 7;
+const LODGING_RADIUS_KM = 2; // how close to the lodging each day should start and end
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Returns what's wrong with a trip's `startDate`/`endDate` ("YYYY-MM-DD"),
+ * or null when they're fine. `today` is the earliest allowed start.
+ */
+function checkTripDates(startDate, endDate, today) {
+  for (const [field, value] of Object.entries({ startDate, endDate })) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value || '') || Number.isNaN(Date.parse(value))) return `Invalid ${field} "${value}". Use YYYY-MM-DD.`;
+  }
+  if (startDate < today) return `The start date ${startDate} has already passed.`;
+  if (endDate < startDate) return 'The trip must end on or after its start date.';
+  const days = Math.round((Date.parse(endDate) - Date.parse(startDate)) / DAY_MS) + 1;
+  if (days > MAX_TRIP_DAYS) return `Trips can be at most ${MAX_TRIP_DAYS} days long.`;
+  return null;
+}
+
+/**
+ * Every date from `startDate` to `endDate`, inclusive, as "YYYY-MM-DD".
+ */
+function tripDates(startDate, endDate) {
+  const dates = [];
+  for (let t = Date.parse(startDate); t <= Date.parse(endDate); t += DAY_MS) dates.push(new Date(t).toISOString().slice(0, 10));
+  return dates;
+}
+
+/**
+ * Sorts the model's stops and legs into `dayCount` days by their `day` field.
+ * A stop without a usable day goes to the day with the fewest stops so far;
+ * a leg without one is dropped (it only ever hints at the transport mode).
+ *
+ * @returns {{ stops: object[], travelLegs: object[] }[]}
+ */
+function splitByDay(stops, travelLegs, dayCount) {
+  const days = Array.from({ length: dayCount }, () => ({ stops: [], travelLegs: [] }));
+  const dayIndex = (value) => {
+    const day = Number(value);
+    return Number.isInteger(day) && day >= 1 && day <= dayCount ? day - 1 : null;
+  };
+  const unassigned = [];
+  for (const stop of stops) {
+    const index = dayIndex(stop.day);
+    if (index == null) unassigned.push(stop);
+    else days[index].stops.push(stop);
+  }
+  for (const stop of unassigned) {
+    const index = days.reduce((best, day, i) => (day.stops.length < days[best].stops.length ? i : best), 0);
+    days[index].stops.push({ ...stop, day: index + 1, validationNotes: [...(stop.validationNotes || []), `Was missing a day; put on day ${index + 1}.`] });
+  }
+  for (const leg of travelLegs) {
+    const index = dayIndex(leg.day);
+    if (index != null) days[index].travelLegs.push(leg);
+  }
+  return days;
+}
+
+/**
+ * Removes venues that an earlier day already uses and asks the trip's session
+ * to replace them. `days` are `{ stops }` in order; their `stops` are replaced
+ * in place.
+ */
+async function dedupeTripDays(days, { session, userMessage, center, lookupPlace }) {
+  const taken = new Map(); // normalized name -> day number
+  for (const [i, day] of days.entries()) {
+    const kept = day.stops.filter(stop => !taken.has(normalizeName(stop.name)));
+    const duplicates = day.stops.filter(stop => taken.has(normalizeName(stop.name)));
+    if (duplicates.length > 0) {
+      const rejected = duplicates.map(stop => ({ stop, reasons: [`Already on day ${taken.get(normalizeName(stop.name))} of this trip.`] }));
+      const replaced = await replaceRejectedStops(session, userMessage, rejected, {
+        center,
+        keptStops: kept,
+        lookupPlace,
+        avoidNames: days.slice(0, i).flatMap(d => d.stops.map(stop => stop.name)),
+      });
+      day.stops = [...kept, ...replaced.map(stop => ({ ...stop, day: i + 1 }))];
+    }
+    for (const stop of day.stops) taken.set(normalizeName(stop.name), i + 1);
+  }
+  return days;
+}
+
+/**
+ * Follow-up message asking the model to plan the days it left without stops.
+ */
+function constructEmptyDaysPrompt(userMessage, dayNumbers, takenNames) {
+  const list = dayNumbers.map(day => `day ${day}`).join(', ');
+  return `${userMessage}
+
+These days of the trip have no stops yet: ${list}.
+Call 'create_date_stop' 3-5 times for each of them, setting 'day' and numbering the stops from 1 within the day, and 'create_travel_leg' between them.${takenNames.length ? `
+Do not use any of these places, which other days already visit: ${takenNames.join(', ')}.` : ''}`;
+}
+
+/**
+ * Asks the trip's session once to plan the days that have no stops, e.g.
+ * because the model skipped them or every stop on them was rejected. `days`
+ * are `{ stops, travelLegs }` in order and are filled in place.
+ *
+ * @returns {number[]} The day numbers that are still empty.
+ */
+async function fillEmptyDays(days, { session, userMessage, center, lookupPlace }) {
+  const empty = days.map((day, i) => i).filter(i => days[i].stops.length === 0);
+  if (empty.length === 0) return [];
+
+  console.log(`-> ${empty.length} trip day(s) without stops, asking for them again...`);
+  const takenNames = days.flatMap(day => day.stops.map(stop => stop.name));
+  const retry = await session.generate(constructEmptyDaysPrompt(userMessage, empty.map(i => i + 1), takenNames));
+  const { stops, travelLegs } = collectFunctionCalls(retry.functionCalls);
+  for (const i of empty) {
+    const { accepted } = await checkStops(stops.filter(stop => Number(stop.day) === i + 1), {
+      center,
+      lookupPlace,
+      existingNames: days.flatMap(day => day.stops.map(stop => stop.name)),
+    });
+    days[i].stops = accepted;
+    days[i].travelLegs = travelLegs.filter(leg => Number(leg.day) === i + 1);
+  }
+  return empty.filter(i => days[i].stops.length === 0).map(i => i + 1);
+}
+
+/**
+ * Orders a day's stops so it starts and ends near the lodging: the two stops
+ * closest to it go first and last (whichever way round scores better), and the
+ * route optimizer arranges the rest with the lodging as the day's origin and
+ * destination. Stops that move are renumbered and say so. `date` and `sunset`
+ * go to the optimizer, to keep the day's stops open and its outdoor ones in daylight.
+ *
+ * @returns {{ stops: object[], changed: boolean }}
+ */
+function orderAroundLodging(stops, lodging, { transportMode, startTime, date, sunset } = {}) {
+  if (!lodging || stops.length < 2) return { stops, changed: false };
+  const byNumber = [...stops].sort((a, b) => (a.stopNumber ?? Infinity) - (b.stopNumber ?? Infinity));
+  const [nearest, nextNearest] = [...byNumber].sort((a, b) => haversineKm(lodging, a) - haversineKm(lodging, b));
+  const middle = byNumber.filter(stop => stop !== nearest && stop !== nextNearest);
+  const [best] = [[nearest, ...middle, nextNearest], [nextNearest, ...middle, nearest]]
+    .map(order => optimizeStopOrder(order, {
+      transportMode,
+      startTime: startTime || byNumber[0].startTime, // the same clock for both, not each order's own first stop
+      date,
+      sunset,
+      origin: lodging,
+      destination: lodging,
+      keepFirst: true,
+      keepLast: true,
+    }))
+    .sort((a, b) => a.score - b.score);
+
+  const changed = best.stops.some((stop, i) => stop !== byNumber[i]);
+  if (!changed) return { stops: byNumber, changed: false };
+  return {
+    stops: best.stops.map((stop, i) => (stop === byNumber[i] ? { ...stop, stopNumber: i + 1 } : {
+      ...stop,
+      stopNumber: i + 1,
+      validationNotes: [...(stop.validationNotes || []), 'Moved so the day starts and ends near your lodging.'],
+    })),
+    changed: true,
+  };
+}
+
+/**
+ * Notes on a finished day's first and last stops when, even after
+ * orderAroundLodging, they're further than LODGING_RADIUS_KM from the lodging.
+ */
+function noteLodgingDistance(stops, lodging) {
+  if (!lodging || stops.length === 0) return stops;
+  const note = (stop, which) => {
+    const km = haversineKm(lodging, stop);
+    return km > LODGING_RADIUS_KM ? { ...stop, validationNotes: [...(stop.validationNotes || []), `${which} ${km.toFixed(1)} km from your lodging.`] } : stop;
+  };
+  const result = [...stops];
+  result[0] = note(result[0], 'The day starts');
+  result[result.length - 1] = note(result[result.length - 1], 'The day ends');
+  return result;
+}
+
+module.exports = {
+  MAX_TRIP_DAYS, LODGING_RADIUS_KM, checkTripDates, tripDates, splitByDay, dedupeTripDays, fillEmptyDays, orderAroundLodging, noteLodgingDistance,
+};
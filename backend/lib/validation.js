@@ -0,0 +1,97 @@
+// lib/validation.js
+//
+// Shape checks for request bodies, query strings and route params. Schemas
+// are plain objects:
+//
+//   { type: 'string', minLength, maxLength, pattern, enum }
+//   { type: 'number' | 'integer', min, max }
+//   { type: 'boolean' }
+//   { type: 'array', items, minItems, maxItems }
+//   { type: 'object', properties: { name: schema }, required: ['name'] }
+//
+// `type` may also be a list of types, and `nullable: true` lets null through.
+// Properties an object schema doesn't mention are left alone; rules about what
+// the values mean (valid times, known currencies, ...) stay with the code that
+// uses them.
+
+const { HttpError } = require('./errors');
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (type, value) => {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' ? Number.isFinite(value) : actual === 'integer';
+  return actual === type;
+};
+
+const describeType = (type) => ({
+  string: 'a string', number: 'a number', integer: 'a whole number', boolean: 'true or false', array: 'an array', object: 'an object',
+}[type] || type);
+
+/**
+ * Returns the first problem with `value`, or null when it fits `schema`.
+ * `path` names the value in the message (e.g. "stops[2].name").
+ */
+function checkSchema(schema, value, path) {
+  if (value === undefined) return null;
+  if (value === null) return schema.nullable ? null : `"${path}" must not be null.`;
+
+  const types = [].concat(schema.type);
+  const type = types.find(t => matchesType(t, value));
+  if (!type) return `"${path}" must be ${types.map(describeType).join(' or ')}.`;
+
+  if (type === 'string') {
+    if (schema.minLength != null && value.length < schema.minLength) return `"${path}" must be at least ${schema.minLength} characters.`;
+    if (schema.maxLength != null && value.length > schema.maxLength) return `"${path}" must be at most ${schema.maxLength} characters.`;
+    if (schema.pattern && !schema.pattern.test(value)) return `"${path}" is not in the expected format.`;
+  }
+  if (schema.enum && !schema.enum.includes(value)) return `"${path}" must be one of: ${schema.enum.join(', ')}.`;
+  if (type === 'number' || type === 'integer') {
+    if (schema.min != null && value < schema.min) return `"${path}" must be at least ${schema.min}.`;
+    if (schema.max != null && value > schema.max) return `"${path}" must be at most ${schema.max}.`;
+  }
+  if (type === 'array') {
+    if (schema.minItems != null && value.length < schema.minItems) return `"${path}" must have at least ${schema.minItems} item(s).`;
+    if (schema.maxItems != null && value.length > schema.maxItems) return `"${path}" must have at most ${schema.maxItems} items.`;
+    if (schema.items) {
+      for (let i = 0; i < value.length; i++) {
+        const problem = checkSchema(schema.items, value[i], `${path}[${i}]`);
+        if (problem) return problem;
+      }
+    }
+  }
+  if (type === 'object') {
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) return `"${path ? `${path}.` : ''}${name}" is required.`;
+    }
+    for (const [name, propertySchema] of Object.entries(schema.properties || {})) {
+      const problem = checkSchema(propertySchema, value[name], path ? `${path}.${name}` : name);
+      if (problem) return problem;
+    }
+  }
+  return null;
+}
+
+/**
+ * Express middleware that checks `req.body`, `req.query` and `req.params`
+ * against the given object schemas and answers 400 on the first problem.
+ */
+function validateRequest({ body, query, params }) {
+  return (req, res, next) => {
+    const parts = [['body', body, req.body], ['query', query, req.query], ['params', params, req.params]];
+    for (const [part, schema, value] of parts) {
+      if (!schema) continue;
+      if (typeOf(value) !== 'object') return next(new HttpError(400, `Request ${part} must be a JSON object.`));
+      const problem = checkSchema(schema, value, '');
+      if (problem) return next(new HttpError(400, problem, { details: { part } }));
+    }
+    next();
+  };
+}
+
+module.exports = { checkSchema, validateRequest };
@@ -0,0 +1,74 @@
+// lib/variants.js
+//
+// Several takes on the same request, generated side by side. Each variant gets
+// its own angle in the prompt; afterwards no venue may appear in more than one
+// of them, and each finished variant is summed up for comparison.
+
+const { normalizeName } = require('./stopValidation');
+const { parseClockTime } = require('./schedule');
+const { replaceRejectedStops } = require('./planAssembly');
+
+const MIN_VARIANTS = 2;
+const MAX_VARIANTS = 4;
+
+const VARIANT_ANGLES = [
+  { id: 'classic', label: 'Classic', instruction: 'The classic take: the well-loved places that fit the vibe best.' },
+  { id: 'hidden-gems', label: 'Hidden gems', instruction: 'Off the beaten path: lesser-known local favourites instead of the famous spots.' },
+  { id: 'easygoing', label: 'Easygoing', instruction: 'Relaxed and light on the wallet: fewer, cheaper stops close together.' },
+  { id: 'special', label: 'Something special', instruction: 'A special-occasion version: memorable experiences worth dressing up for.' },
+];
+
+/**
+ * Reads the `variants` request field. Returns the count, or null when it's invalid.
+ * Absent means a single plan.
+ */
+function parseVariantCount(value) {
+  if (value == null || value === '' || Number(value) === 1) return 1;
+  const count = Number(value);
+  return Number.isInteger(count) && count >= MIN_VARIANTS && count <= MAX_VARIANTS ? count : null;
+}
+
+/**
+ * Removes venues that an earlier variant already uses and asks each variant's
+ * own session to replace them. `drafts` are `{ session, userMessage, stops }`
+ * in priority order; their `stops` are replaced in place.
+ */
+async function dedupeVariants(drafts, { center, lookupPlace }) {
+  const takenNames = [];
+  for (const draft of drafts) {
+    const taken = new Set(takenNames.map(normalizeName));
+    const kept = draft.stops.filter(stop => !taken.has(normalizeName(stop.name)));
+    const duplicates = draft.stops.filter(stop => taken.has(normalizeName(stop.name)));
+    if (duplicates.length > 0) {
+      const rejected = duplicates.map(stop => ({ stop, reasons: ['Already used by another option of this plan.'] }));
+      const replaced = await replaceRejectedStops(draft.session, draft.userMessage, rejected, {
+        center,
+        keptStops: kept,
+        lookupPlace,
+        avoidNames: takenNames,
+      });
+      draft.stops = [...kept, ...replaced];
+    }
+    takenNames.push(...draft.stops.map(stop => stop.name));
+  }
+  return drafts;
+}
+
+/**
+ * Comparison numbers for a finished `{ stops, schedule, budget }` plan.
+ */
+function variantMetrics({ stops, schedule, budget }) {
+  const start = schedule && parseClockTime(schedule.startTime);
+  const end = schedule && parseClockTime(schedule.finishesAt);
+  const legs = stops.map(stop => stop.travelToNext).filter(Boolean);
+  return {
+    stopCount: stops.length,
+    totalDurationMinutes: start != null && end != null ? (end - start + 24 * 60) % (24 * 60) : null,
+    totalTravelMinutes: Math.round(legs.reduce((sum, leg) => sum + (leg.durationSeconds || 0), 0) / 60),
+    totalDistanceMeters: legs.reduce((sum, leg) => sum + (leg.distanceMeters || 0), 0),
+    estimatedCost: budget ? budget.total : null,
+    currency: budget ? budget.currency : null,
+  };
+}
+
+module.exports = { MIN_VARIANTS, MAX_VARIANTS, VARIANT_ANGLES, parseVariantCount, dedupeVariants, variantMetrics };
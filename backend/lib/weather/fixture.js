@@ -0,0 +1,22 @@
+// lib/weather/fixture.js
+//
+// Returns the same canned forecast for any place and date, so weather-aware
+// planning can run offline and in tests. The fixture file holds one forecast
+// in the provider shape, minus `date`.
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FIXTURES = path.join(__dirname, '..', '..', 'fixtures', 'weather', 'forecast.json');
+
+function createFixtureWeatherProvider({ fixturesPath = DEFAULT_FIXTURES, forecast } = {}) {
+  const canned = forecast || JSON.parse(fs.readFileSync(fixturesPath, 'utf8'));
+  return {
+    name: 'fixture',
+    async getForecast({ date }) {
+      return { ...JSON.parse(JSON.stringify(canned)), date };
+    },
+  };
+}
+
+module.exports = { createFixtureWeatherProvider };
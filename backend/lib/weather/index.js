@@ -0,0 +1,98 @@
+// lib/weather/index.js
+//
+// Forecasts for the day of the outing. Every provider implements:
+//
+//   {
+//     name: string,
+//     getForecast({ lat, lng, date }) -> Promise<forecast | null>   (null: no forecast for that date)
+//   }
+//
+// where a forecast is
+//
+//   { date, utcOffsetMinutes, weatherCode, temperatureMin, temperatureMax,
+//     precipitationProbability, hourly: [{ time: "HH:MM", temperature, precipitationProbability, weatherCode }] }
+//
+// with WMO weather codes and temperatures in °C, times local to the place.
+
+const { parseClockTime } = require('../schedule');
+const { createOpenMeteoProvider } = require('./openMeteo');
+const { createFixtureWeatherProvider } = require('./fixture');
+
+const WEATHER_CODES = {
+  0: 'clear sky', 1: 'mainly clear', 2: 'partly cloudy', 3: 'overcast',
+  45: 'fog', 48: 'fog',
+  51: 'light drizzle', 53: 'drizzle', 55: 'heavy drizzle', 56: 'freezing drizzle', 57: 'freezing drizzle',
+  61: 'light rain', 63: 'rain', 65: 'heavy rain', 66: 'freezing rain', 67: 'freezing rain',
+  71: 'light snow', 73: 'snow', 75: 'heavy snow', 77: 'snow grains',
+  80: 'rain showers', 81: 'rain showers', 82: 'violent rain showers', 85: 'snow showers', 86: 'snow showers',
+  95: 'thunderstorms', 96: 'thunderstorms with hail', 99: 'thunderstorms with hail',
+};
+const WET_CHANCE = 50; // % chance of precipitation from which outdoor stops are a gamble
+
+const isWetCode = (code) => code >= 51;
+
+/**
+ * Boils a forecast down to the hours of the outing (the whole day when no
+ * times are given): what the weather does, how warm, and whether it's wet.
+ */
+function summarizeForecast(forecast, { startTime, endTime } = {}) {
+  const start = parseClockTime(startTime);
+  let end = parseClockTime(endTime);
+  if (start != null && end != null && end <= start) end += 24 * 60;
+  const hours = start == null || end == null
+    ? forecast.hourly
+    : forecast.hourly.filter(hour => {
+      const t = parseClockTime(hour.time);
+      return t + 60 > start && t < end; // the hour overlaps the outing (same day only)
+    });
+
+  const codes = hours.length ? hours.map(h => h.weatherCode) : [forecast.weatherCode];
+  const worstCode = Math.max(...codes);
+  const temperatures = hours.length ? hours.map(h => h.temperature) : [forecast.temperatureMin, forecast.temperatureMax];
+  const precipitationProbability = hours.length
+    ? Math.max(...hours.map(h => h.precipitationProbability ?? 0))
+    : forecast.precipitationProbability;
+
+  return {
+    summary: WEATHER_CODES[worstCode] || 'unknown',
+    temperatureMin: Math.round(Math.min(...temperatures)),
+    temperatureMax: Math.round(Math.max(...temperatures)),
+    precipitationProbability,
+    wet: isWetCode(worstCode) || precipitationProbability >= WET_CHANCE,
+  };
+}
+
+/**
+ * The day, daylight and forecast of `conditions` ({ date, sunset, weather },
+ * with `weather` from summarizeForecast) as prompt sentences, e.g.
+ * "Saturday, 2026-10-24. Sunset is at 18:09; ...".
+ */
+function describeConditions(conditions) {
+  const weekday = new Date(`${conditions.date}T12:00:00Z`).toLocaleDateString('en-US', { weekday: 'long', timeZone: 'UTC' });
+  let text = `${weekday}, ${conditions.date}.`;
+  if (conditions.sunset) text += ` Sunset is at ${conditions.sunset}; put scenic outdoor stops before it.`;
+  const { weather } = conditions;
+  if (weather) {
+    text += ` Forecast: ${weather.summary}, ${weather.temperatureMin}-${weather.temperatureMax}°C, ${weather.precipitationProbability}% chance of rain.`;
+    if (weather.wet) text += ' Bad weather is likely, so favour indoor places.';
+  }
+  return text;
+}
+
+/**
+ * Picks the provider from env config: WEATHER_PROVIDER = open-meteo (default) | fixture | none.
+ */
+function createWeatherProvider(env = process.env) {
+  switch ((env.WEATHER_PROVIDER || 'open-meteo').toLowerCase()) {
+    case 'open-meteo':
+      return createOpenMeteoProvider({ baseUrl: env.OPEN_METEO_URL || undefined });
+    case 'fixture':
+      return createFixtureWeatherProvider({ fixturesPath: env.WEATHER_FIXTURES || undefined });
+    case 'none':
+      return { name: 'none', getForecast: async () => null };
+    default:
+      throw new Error(`Unknown WEATHER_PROVIDER "${env.WEATHER_PROVIDER}".`);
+  }
+}
+
+module.exports = { WEATHER_CODES, summarizeForecast, describeConditions, createWeatherProvider, createOpenMeteoProvider, createFixtureWeatherProvider };
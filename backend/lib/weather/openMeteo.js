@@ -0,0 +1,46 @@
+// lib/weather/openMeteo.js
+//
+// Open-Meteo's free forecast API: no key needed, up to 16 days ahead.
+
+const axios = require('axios');
+
+const FORECAST_DAYS = 16;
+
+function createOpenMeteoProvider({ baseUrl = 'https://api.open-meteo.com' } = {}) {
+  return {
+    name: 'open-meteo',
+    async getForecast({ lat, lng, date }) {
+      const daysAhead = Math.round((Date.parse(`${date}T00:00:00Z`) - Date.parse(`${new Date().toISOString().slice(0, 10)}T00:00:00Z`)) / 86400000);
+      if (daysAhead < 0 || daysAhead >= FORECAST_DAYS) return null;
+
+      const { data } = await axios.get(`${baseUrl}/v1/forecast`, {
+        params: {
+          latitude: lat,
+          longitude: lng,
+          start_date: date,
+          end_date: date,
+          timezone: 'auto',
+          daily: 'weather_code,temperature_2m_max,temperature_2m_min,precipitation_probability_max',
+          hourly: 'temperature_2m,precipitation_probability,weather_code',
+        },
+        timeout: 10000,
+      });
+      return {
+        date,
+        utcOffsetMinutes: Math.round(data.utc_offset_seconds / 60),
+        weatherCode: data.daily.weather_code[0],
+        temperatureMin: data.daily.temperature_2m_min[0],
+        temperatureMax: data.daily.temperature_2m_max[0],
+        precipitationProbability: data.daily.precipitation_probability_max[0],
+        hourly: data.hourly.time.map((time, i) => ({
+          time: time.slice(11, 16),
+          temperature: data.hourly.temperature_2m[i],
+          precipitationProbability: data.hourly.precipitation_probability[i],
+          weatherCode: data.hourly.weather_code[i],
+        })),
+      };
+    },
+  };
+}
+
+module.exports = { createOpenMeteoProvider };
@@ -0,0 +1,120 @@
+// Every export format, parsed back with a real parser.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const ICAL = require('ical.js');
+const { XMLParser } = require('fast-xml-parser');
+const { encodePolyline } = require('../lib/polyline');
+const { toICalendar, toGpx, toKml } = require('../lib/exporters');
+
+const MIDPOINT = { lat: 19.064, lng: 72.832 };
+const PLAN = {
+  planTitle: 'Salt & Sea <Bandra>',
+  stops: [
+    {
+      stopNumber: 1, name: 'Candies', type: 'Cafe', lat: 19.0636, lng: 72.831,
+      address: 'Pali Hill, Bandra West', description: 'Coffee & cake.', startTime: '22:30', duration: '1 hour',
+      travelToNext: { polyline: encodePolyline([{ lat: 19.0636, lng: 72.831 }, MIDPOINT, { lat: 19.0646, lng: 72.8337 }]) },
+    },
+    {
+      stopNumber: 2, name: 'Bread & Butter <Late>; Bar, Lounge', type: 'Bar', lat: 19.0646, lng: 72.8337,
+      address: '12, Linking Road; Bandra', description: 'Line one\nline two', startTime: '00:15', duration: '45 minutes',
+    },
+  ],
+};
+
+const xml = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '',
+  parseAttributeValue: true,
+  isArray: (name) => ['wpt', 'rtept', 'trkpt', 'Placemark'].includes(name),
+});
+const parseCoordinates = (text) => text.trim().split(/\s+/).map(triple => {
+  const [lng, lat] = triple.split(',').map(Number);
+  return { lat, lng };
+});
+
+test('toICalendar writes one event per stop with its time, length and place', () => {
+  const text = toICalendar(PLAN, { date: '2026-10-24', uidPrefix: 'abc' });
+  assert.match(text, /\r\nLOCATION:12\\, Linking Road\\; Bandra\r\n/);
+  const calendar = new ICAL.Component(ICAL.parse(text));
+  assert.equal(calendar.getFirstPropertyValue('x-wr-calname'), PLAN.planTitle);
+
+  const events = calendar.getAllSubcomponents('vevent').map(vevent => new ICAL.Event(vevent));
+  assert.equal(events.length, PLAN.stops.length);
+
+  assert.equal(events[0].startDate.toString(), '2026-10-24T22:30:00');
+  assert.equal(events[0].duration.toSeconds(), 60 * 60);
+  // Past midnight, so the next day
+  assert.equal(events[1].startDate.toString(), '2026-10-25T00:15:00');
+  assert.equal(events[1].duration.toSeconds(), 45 * 60);
+
+  assert.deepEqual(events.map(event => event.uid), ['abc-1@datemapz', 'abc-2@datemapz']);
+  assert.deepEqual(events.map(event => event.summary), ['1. Candies', '2. Bread & Butter <Late>; Bar, Lounge']);
+  assert.deepEqual(events.map(event => event.location), PLAN.stops.map(stop => stop.address));
+  assert.equal(events[1].description, 'Line one\nline two');
+});
+
+test('toICalendar skips stops without a start time', () => {
+  const plan = { ...PLAN, stops: [PLAN.stops[0], { ...PLAN.stops[1], startTime: '' }] };
+  const calendar = new ICAL.Component(ICAL.parse(toICalendar(plan, { date: '2026-10-24' })));
+  assert.equal(calendar.getAllSubcomponents('vevent').length, 1);
+});
+
+test('toGpx writes a waypoint and a route point per stop and a track along the legs', () => {
+  const text = toGpx(PLAN);
+  assert.match(text, /<name>2\. Bread &amp; Butter &lt;Late&gt;; Bar, Lounge<\/name>/);
+  const { gpx } = xml.parse(text);
+  assert.equal(gpx.metadata.name, PLAN.planTitle);
+
+  for (const points of [gpx.wpt, gpx.rte.rtept]) {
+    assert.deepEqual(points.map(p => [p.lat, p.lon]), PLAN.stops.map(stop => [stop.lat, stop.lng]));
+    assert.deepEqual(points.map(p => p.name), ['1. Candies', '2. Bread & Butter <Late>; Bar, Lounge']);
+    assert.deepEqual(points.map(p => p.type), ['Cafe', 'Bar']);
+  }
+  assert.equal(gpx.wpt[0].desc, 'Coffee & cake.');
+
+  // The decoded leg, which ends at the last stop
+  assert.deepEqual(gpx.trk.trkseg.trkpt.map(p => [p.lat, p.lon]), [
+    [19.0636, 72.831], [MIDPOINT.lat, MIDPOINT.lng], [19.0646, 72.8337],
+  ]);
+});
+
+test('toKml writes a placemark per stop and a line along the legs', () => {
+  const { kml } = xml.parse(toKml(PLAN));
+  const { Document: doc } = kml;
+  assert.equal(doc.name, PLAN.planTitle);
+
+  const [first, second, route] = doc.Placemark;
+  assert.equal(doc.Placemark.length, PLAN.stops.length + 1);
+  assert.equal(first.name, '1. Candies');
+  assert.equal(second.name, '2. Bread & Butter <Late>; Bar, Lounge');
+  assert.deepEqual(parseCoordinates(first.Point.coordinates), [{ lat: 19.0636, lng: 72.831 }]);
+  assert.deepEqual(parseCoordinates(second.Point.coordinates), [{ lat: 19.0646, lng: 72.8337 }]);
+  assert.match(second.description, /^00:15 \(45 minutes\)\n12, Linking Road; Bandra\n/);
+
+  assert.equal(route.name, 'Route');
+  assert.deepEqual(parseCoordinates(route.LineString.coordinates), [{ lat: 19.0636, lng: 72.831 }, MIDPOINT, { lat: 19.0646, lng: 72.8337 }]);
+});
+
+test('the GPX track and KML line pass through each stop once, with or without leg polylines', () => {
+  const [candies, bonobo, gaiety, bandstand] = [
+    { lat: 19.0636, lng: 72.831 }, { lat: 19.0646, lng: 72.8337 }, { lat: 19.0545, lng: 72.8409 }, { lat: 19.0469, lng: 72.8199 },
+  ];
+  const viaPoint = { lat: 19.06, lng: 72.838 };
+  const plan = {
+    planTitle: 'Three legs',
+    stops: [
+      { ...PLAN.stops[0], ...candies, stopNumber: 1 },
+      { ...PLAN.stops[1], ...bonobo, stopNumber: 2, travelToNext: { polyline: encodePolyline([bonobo, viaPoint, gaiety]) } },
+      { ...PLAN.stops[1], ...gaiety, stopNumber: 3, travelToNext: { distanceMeters: 2300 } }, // routed, but no polyline
+      { ...PLAN.stops[1], ...bandstand, stopNumber: 4 },
+    ],
+  };
+  const expected = [candies, MIDPOINT, bonobo, viaPoint, gaiety, bandstand];
+
+  const track = xml.parse(toGpx(plan)).gpx.trk.trkseg.trkpt.map(p => ({ lat: p.lat, lng: p.lon }));
+  assert.deepEqual(track, expected);
+  const line = xml.parse(toKml(plan)).kml.Document.Placemark.at(-1).LineString.coordinates;
+  assert.deepEqual(parseCoordinates(line), expected);
+});
@@ -0,0 +1,131 @@
+// The geocoder's cache, its disk copy, the rate-limited queue and the errors
+// callers tell apart, around the fixture provider.
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { setTimeout: sleep } = require('node:timers/promises');
+const { createLruCache } = require('../lib/geocoding/cache');
+const { createRateLimitedQueue } = require('../lib/geocoding/rateLimit');
+const { createGeocoder, createCachedGeocoder, createFixtureProvider } = require('../lib/geocoding');
+const { HttpError, GeocodingError, errorBody } = require('../lib/errors');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'datemapz-geocoding-'));
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+// The fixture provider, counting the calls that get past the cache
+function countingProvider(overrides = {}) {
+  const provider = { ...createFixtureProvider(), calls: 0, ...overrides };
+  for (const method of ['geocode', 'reverse', 'findPlace']) {
+    const call = provider[method];
+    provider[method] = (...args) => {
+      provider.calls++;
+      return call(...args);
+    };
+  }
+  return provider;
+}
+
+test('the cache drops the least recently used entry when full', () => {
+  const cache = createLruCache({ maxEntries: 2 });
+  cache.set('a', 1);
+  cache.set('b', 2);
+  assert.equal(cache.get('a'), 1); // now b is the oldest
+  cache.set('c', 3);
+  assert.equal(cache.size, 2);
+  assert.deepEqual(['a', 'b', 'c'].map(key => cache.get(key)), [1, undefined, 3]);
+});
+
+test('cache entries expire after their TTL, which set can shorten', async () => {
+  const cache = createLruCache({ ttlMs: 1000 });
+  cache.set('long', 'kept');
+  cache.set('short', 'gone', { ttl: 20 });
+  await sleep(40);
+  assert.equal(cache.get('long'), 'kept');
+  assert.equal(cache.get('short'), undefined);
+  assert.equal(cache.size, 1);
+});
+
+test('the cache is written to its file and read back, minus expired entries', async () => {
+  const filePath = path.join(tmpDir, 'nested', 'cache.json');
+  const cache = createLruCache({ filePath });
+  cache.set('fixture:geocode:bandra', { lat: 19.0596, lng: 72.8295 });
+  cache.set('fixture:geocode:atlantis', null, { ttl: 20 });
+  await cache.flush();
+  assert.ok(fs.existsSync(filePath));
+  assert.ok(!fs.existsSync(`${filePath}.tmp`));
+
+  await sleep(40);
+  const reloaded = createLruCache({ filePath });
+  assert.equal(reloaded.size, 1);
+  assert.deepEqual(reloaded.get('fixture:geocode:bandra'), { lat: 19.0596, lng: 72.8295 });
+
+  assert.equal(createLruCache({ filePath: path.join(tmpDir, 'missing.json') }).size, 0);
+});
+
+test('the queue runs calls in order, at least minIntervalMs apart, and carries on after a failure', async () => {
+  const queue = createRateLimitedQueue({ minIntervalMs: 50 });
+  const started = [];
+  const task = (name, fail) => async () => {
+    started.push({ name, at: Date.now() });
+    if (fail) throw new Error(`${name} failed`);
+    return name;
+  };
+
+  const results = Promise.allSettled([queue.schedule(task('one')), queue.schedule(task('two', true)), queue.schedule(task('three'))]);
+  assert.equal(queue.pending, 3);
+  const [one, two, three] = await results;
+
+  assert.deepEqual([one.value, two.reason.message, three.value], ['one', 'two failed', 'three']);
+  assert.deepEqual(started.map(call => call.name), ['one', 'two', 'three']);
+  for (let i = 1; i < started.length; i++) assert.ok(started[i].at - started[i - 1].at >= 49, `call ${i + 1} started too soon`);
+  assert.equal(queue.pending, 0);
+});
+
+test('lookups are cached, misses included, under a normalized key', async () => {
+  const provider = countingProvider();
+  const geocoder = createCachedGeocoder(provider);
+
+  const place = await geocoder.geocode('Bandra');
+  assert.deepEqual([place.lat, place.lng, place.city], [19.0596, 72.8295, 'Mumbai']);
+  assert.equal(await geocoder.geocode('  bandra '), place);
+  await assert.rejects(geocoder.geocode('Atlantis'));
+  await assert.rejects(geocoder.geocode('atlantis'));
+  assert.equal(provider.calls, 2);
+
+  const nearCandies = await geocoder.findPlace('Candies', { near: { lat: 19.06, lng: 72.83 }, radiusKm: 2 });
+  assert.equal(nearCandies.openingHours, 'Mo-Su 08:30-23:00');
+  assert.equal((await geocoder.reverse({ lat: 19.04451, lng: 72.81971 })).displayName.split(',')[0], 'Taj Lands End');
+});
+
+test('an unknown place is a not_found error (422) and a failing provider an unavailable one (503)', async () => {
+  const geocoder = createCachedGeocoder(countingProvider());
+  await assert.rejects(geocoder.geocode('Atlantis'), (error) => {
+    assert.ok(error instanceof GeocodingError && error instanceof HttpError);
+    assert.deepEqual([error.code, error.status, error.provider], ['not_found', 422, 'fixture']);
+    assert.deepEqual(errorBody(error), { error: { code: 'not_found', message: 'Could not find a location called "Atlantis".' } });
+    return true;
+  });
+  await assert.rejects(geocoder.findPlace('Candies', { near: { lat: 19.2183, lng: 72.9781 }, radiusKm: 2 }), { code: 'not_found', message: 'Could not find "Candies" within 2 km.' });
+
+  const outage = new Error('connect ECONNREFUSED');
+  const down = countingProvider({ name: 'nominatim', geocode: async () => { throw outage; } });
+  const downGeocoder = createCachedGeocoder(down);
+  for (let attempt = 0; attempt < 2; attempt++) {
+    await assert.rejects(downGeocoder.geocode('Bandra'), (error) => {
+      assert.deepEqual([error.code, error.status, error.provider, error.cause], ['unavailable', 503, 'nominatim', outage]);
+      assert.match(error.message, /nominatim geocoder is unavailable \(connect ECONNREFUSED\)/);
+      return true;
+    });
+  }
+  assert.equal(down.calls, 2); // outages aren't cached
+});
+
+test('createGeocoder picks the provider from GEOCODER', async () => {
+  const geocoder = createGeocoder({ GEOCODER: 'fixture', GEOCODE_CACHE_FILE: 'off' });
+  assert.equal(geocoder.name, 'fixture');
+  assert.equal((await geocoder.geocode('Bombay')).displayName, 'Mumbai, Maharashtra, India');
+  assert.throws(() => createGeocoder({ GEOCODER: 'carrier-pigeon', GEOCODE_CACHE_FILE: 'off' }), /Unknown GEOCODER "carrier-pigeon"/);
+});
@@ -0,0 +1,150 @@
+// Plan assembly against the mock LLM, the fixture geocoder and the haversine
+// router, so it runs offline.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockProvider } = require('../lib/llm/mock');
+const { createFixtureProvider } = require('../lib/geocoding/fixture');
+const { createHaversineProvider } = require('../lib/routing');
+const { collectFunctionCalls, replaceRejectedStops, validateNewStops, fitToBudget, finishPlanStops } = require('../lib/planAssembly');
+
+const BANDRA = { lat: 19.0596, lng: 72.8295 };
+const geocoder = createFixtureProvider();
+
+// Same contract as findPlace in server.js, minus the address fallback
+const lookupPlace = async (stop) => {
+  const match = await geocoder.findPlace(stop.name, { near: stop, radiusKm: 5 });
+  return match && { lat: match.lat, lng: match.lng, matchedBy: 'name', openingHours: match.openingHours };
+};
+
+const stopCall = (args) => ({ name: 'create_date_stop', args });
+const CANDIES = { stopNumber: 1, name: 'Candies', description: 'Cafe.', address: 'Pali Hill', lat: 19.0636, lng: 72.831, type: 'Cafe', startTime: '18:00', duration: '1 hour' };
+const BONOBO = { stopNumber: 2, name: 'Bonobo', description: 'Bar.', address: 'Linking Road', lat: 19.0646, lng: 72.8337, type: 'Bar', startTime: '19:30', duration: '1.5 hours' };
+const MOUNT_MARY = { stopNumber: 2, name: 'Mount Mary Basilica', description: 'Church.', address: 'Mount Mary Road', lat: 19.0469, lng: 72.8226, type: 'Activity', startTime: '19:30', duration: '45 minutes' };
+
+const mockWithReplacement = (replacement) => createMockProvider({
+  fixtures: { responses: [{ name: 'replacement', match: 'could not be used', functionCalls: [stopCall(replacement)] }] },
+});
+
+test('collectFunctionCalls splits stops from travel legs and ignores other calls', () => {
+  const leg = { fromStop: 1, toStop: 2, transportMode: 'Walking' };
+  const { stops, travelLegs } = collectFunctionCalls([
+    stopCall(CANDIES),
+    { name: 'create_travel_leg', args: leg },
+    { name: 'something_else', args: {} },
+    stopCall(BONOBO),
+  ]);
+  assert.deepEqual(stops, [CANDIES, BONOBO]);
+  assert.deepEqual(travelLegs, [leg]);
+});
+
+test('validateNewStops keeps good stops and replaces a rejected one', async () => {
+  const llm = mockWithReplacement(MOUNT_MARY);
+  const session = llm.createSession({ systemInstruction: 'plan' });
+  const faraway = { ...BONOBO, name: 'Somewhere in Delhi', lat: 28.6139, lng: 77.209 };
+
+  const stops = await validateNewStops(session, 'Plan a date.', [CANDIES, faraway], { center: BANDRA, lookupPlace });
+
+  assert.deepEqual(stops.map(stop => stop.name), ['Candies', 'Mount Mary Basilica']);
+  assert.equal(stops[0].verified, true);
+  assert.match(stops[1].validationNotes[0], /Replacement for a rejected stop/);
+  assert.equal(llm.calls.length, 1);
+  assert.match(llm.calls[0].message, /Somewhere in Delhi - .* km away from the requested area/);
+  assert.match(llm.calls[0].message, /1\. Candies \(Pali Hill\)/);
+});
+
+test('validateNewStops rejects duplicates of stops already in the plan', async () => {
+  const llm = mockWithReplacement(MOUNT_MARY);
+  const session = llm.createSession({ systemInstruction: 'plan' });
+
+  const stops = await validateNewStops(session, 'Plan a date.', [{ ...CANDIES, stopNumber: 2 }], { center: BANDRA, keptStops: [CANDIES], lookupPlace });
+
+  assert.deepEqual(stops.map(stop => stop.name), ['Mount Mary Basilica']);
+  assert.match(llm.calls[0].message, /Duplicate of another stop named "Candies"/);
+});
+
+test('replaceRejectedStops never accepts a place from avoidNames', async () => {
+  const llm = mockWithReplacement(MOUNT_MARY);
+  const session = llm.createSession({ systemInstruction: 'plan' });
+
+  const replaced = await replaceRejectedStops(session, 'Plan a date.', [{ stop: BONOBO, reasons: ['Closed.'] }], {
+    center: BANDRA,
+    keptStops: [CANDIES],
+    lookupPlace,
+    avoidNames: ['Mount Mary Basilica'],
+  });
+
+  assert.deepEqual(replaced, []);
+  assert.equal(llm.calls.length, 2); // one per replacement round
+  assert.match(llm.calls[0].message, /Do not use any of these places: Mount Mary Basilica\./);
+});
+
+test('fitToBudget keeps the original stops rather than swap in a place from avoidNames', async () => {
+  const cheap = { ...MOUNT_MARY, stopNumber: 2, estimatedCost: 100 };
+  const llm = createMockProvider({
+    fixtures: { responses: [{ name: 'budget', match: 'more than the total budget', functionCalls: [stopCall(cheap)] }] },
+  });
+  const session = llm.createSession({ systemInstruction: 'plan' });
+  const stops = [{ ...CANDIES, estimatedCost: 500 }, { ...BONOBO, estimatedCost: 3000 }];
+  const options = { budget: { currency: 'INR', maxTotal: 1000 }, center: BANDRA, lookupPlace };
+
+  const swapped = await fitToBudget(session, 'Plan a date.', stops, options);
+  assert.deepEqual(swapped.map(stop => stop.name), ['Candies', 'Mount Mary Basilica']);
+
+  const kept = await fitToBudget(session, 'Plan a date.', stops, { ...options, avoidNames: ['Mount Mary Basilica'] });
+  assert.equal(kept, stops);
+});
+
+test('finishPlanStops renumbers, routes, schedules and totals the stops', async () => {
+  const stops = [
+    { ...BONOBO, stopNumber: 5, estimatedCost: 2000, openingHours: 'Mo-Su 18:00-01:30', matchedPreferences: ['group'] },
+    { ...CANDIES, stopNumber: 3, estimatedCost: 800, openingHours: 'Mo-Su 08:30-23:00' },
+  ];
+
+  const { stops: finished, schedule, budget } = await finishPlanStops(stops, {
+    routingProvider: createHaversineProvider(),
+    travelLegs: [{ fromStop: 3, toStop: 5, transportMode: 'Walking' }],
+    startTime: '18:00',
+    endTime: '23:00',
+    date: '2026-10-24',
+    budget: { currency: 'INR', maxTotal: 2500 },
+    preferences: { wheelchair: false, dietary: [], petFriendly: false, groupSize: 4, adultsOnly: false },
+  });
+
+  assert.deepEqual(finished.map(stop => [stop.stopNumber, stop.name]), [[1, 'Candies'], [2, 'Bonobo']]);
+  assert.match(finished[0].validationNotes.at(-1), /Renumbered from 3 to 1/);
+
+  const leg = finished[0].travelToNext;
+  assert.equal(leg.transportMode, 'Walking'); // the model's leg hints at the mode
+  assert.equal(leg.routingProvider, 'haversine');
+  assert.ok(leg.distanceMeters > 0 && leg.durationSeconds > 0);
+  assert.equal(finished[1].travelToNext, undefined);
+
+  assert.equal(finished[0].startTime, '18:00');
+  assert.equal(finished[0].endTime, '19:00');
+  assert.equal(finished[1].startTime, `19:${String(Math.round(leg.durationSeconds / 60)).padStart(2, '0')}`);
+  assert.equal(schedule.conflictCount, 0);
+
+  assert.equal(budget.total, 2800);
+  assert.equal(budget.withinBudget, false);
+  assert.equal(finished[1].overBudget, true);
+  assert.deepEqual(finished[1].matchedPreferences, ['group']);
+  assert.deepEqual(finished[0].unmetPreferences, ['group']);
+});
+
+test('finishPlanStops checks indoor alternates against the scheduled time, not the model\'s', async () => {
+  const park = (name, alternate) => ({
+    ...MOUNT_MARY, name, type: 'Park', startTime: '10:00', duration: '1 hour',
+    indoorAlternate: { ...CANDIES, startTime: '10:00', ...alternate },
+  });
+  const { stops } = await finishPlanStops([
+    { ...park('Carter Road Promenade', { name: 'Morning Cafe', openingHours: 'Mo-Su 09:00-12:00' }), stopNumber: 1 },
+    { ...park('Bandstand Promenade', { name: 'Evening Cafe', openingHours: 'Mo-Su 18:00-23:00' }), stopNumber: 2, lat: 19.0469, lng: 72.8199 },
+  ], { routingProvider: createHaversineProvider(), startTime: '19:00', date: '2026-10-24' });
+
+  assert.equal(stops[0].indoorAlternate, undefined);
+  assert.match(stops[0].validationNotes.at(-1), /Dropped the indoor option Morning Cafe: it is closed at 19:00/);
+  assert.equal(stops[1].indoorAlternate.name, 'Evening Cafe');
+  assert.equal(stops[1].indoorAlternate.startTime, stops[1].startTime);
+  assert.deepEqual(stops[1].indoorAlternate.scheduleConflicts, []);
+});
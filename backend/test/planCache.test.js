@@ -0,0 +1,142 @@
+// The plan cache: what counts as the same request, and how hits, waiters,
+// fresh requests and failures are served.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: sleep } = require('node:timers/promises');
+const { planCacheKey, createCoalescingCache, createPlanCache } = require('../lib/planCache');
+
+const REQUEST = {
+  center: { lat: 19.0596, lng: 72.8295 },
+  dateVibe: 'Romantic',
+  transportMode: 'Driving',
+  startTime: '18:00',
+  endTime: '23:00',
+  date: '2026-10-24',
+  preferences: { wheelchair: false, dietary: ['vegan', 'halal'], petFriendly: false, groupSize: 2, adultsOnly: false },
+};
+
+test('planCacheKey ignores case, spacing, GPS drift and the order of dietary needs', () => {
+  assert.equal(
+    planCacheKey(REQUEST),
+    planCacheKey({
+      ...REQUEST,
+      center: { lat: 19.05961, lng: 72.82948 },
+      dateVibe: '  romantic ',
+      transportMode: 'driving',
+      preferences: { ...REQUEST.preferences, dietary: ['halal', 'vegan'] },
+    }),
+  );
+  assert.notEqual(planCacheKey(REQUEST), planCacheKey({ ...REQUEST, date: '2026-10-25' }));
+  assert.notEqual(planCacheKey(REQUEST), planCacheKey({ ...REQUEST, variants: 3 }));
+});
+
+test('planCacheKey tells currencies apart with or without a budget cap', () => {
+  const inr = planCacheKey({ ...REQUEST, budget: { currency: 'INR' } });
+  const usd = planCacheKey({ ...REQUEST, budget: { currency: 'USD' } });
+  assert.notEqual(inr, usd);
+  assert.notEqual(inr, planCacheKey(REQUEST));
+  assert.notEqual(inr, planCacheKey({ ...REQUEST, budget: { currency: 'INR', maxTotal: 3000 } }));
+  assert.equal(inr, planCacheKey({ ...REQUEST, budget: { currency: 'inr' } }));
+});
+
+// A producer that counts its calls and resolves when told to
+function deferredProducer(value) {
+  const producer = () => {
+    producer.calls++;
+    return new Promise((resolve, reject) => Object.assign(producer, { resolve: () => resolve(value), reject }));
+  };
+  producer.calls = 0;
+  return producer;
+}
+
+test('fetch plans once, then serves copies that callers cannot change', async () => {
+  const cache = createCoalescingCache();
+  const produce = () => ({ planTitle: 'Sunset in Bandra', stops: [{ name: 'Candies' }] });
+
+  const first = await cache.fetch('k', produce);
+  assert.equal(first.cache.status, 'miss');
+  first.value.stops.push({ name: 'Added after the miss' });
+
+  const second = await cache.fetch('k', () => assert.fail('should be a hit'));
+  assert.deepEqual(second.cache, { status: 'hit', ageSeconds: 0 });
+  assert.deepEqual(second.value.stops, [{ name: 'Candies' }]);
+  second.value.stops[0].name = 'Changed by the first hit';
+
+  const third = await cache.fetch('k', () => assert.fail('should be a hit'));
+  assert.equal(third.value.stops[0].name, 'Candies');
+  assert.deepEqual(cache.stats(), { hits: 2, misses: 1, coalesced: 0, bypassed: 0, hitRate: 0.667, entries: 1, inFlight: 0, maxEntries: 200, ttlSeconds: 21600 });
+});
+
+test('identical requests in flight share one producer call', async () => {
+  const cache = createCoalescingCache();
+  const produce = deferredProducer({ planTitle: 'Shared' });
+
+  const first = cache.fetch('k', produce);
+  const second = cache.fetch('k', produce);
+  await sleep(0);
+  assert.equal(cache.stats().inFlight, 1);
+  produce.resolve();
+
+  const [a, b] = await Promise.all([first, second]);
+  assert.equal(produce.calls, 1);
+  assert.equal(a.cache.status, 'miss');
+  assert.deepEqual(b.cache, { status: 'coalesced', ageSeconds: 0 });
+  assert.deepEqual(a.value, b.value);
+  assert.notEqual(a.value, b.value);
+  assert.equal(cache.stats().inFlight, 0);
+});
+
+test('fresh skips the cached plan and replaces it', async () => {
+  const cache = createCoalescingCache();
+  await cache.fetch('k', () => ({ planTitle: 'Old' }));
+
+  const fresh = await cache.fetch('k', () => ({ planTitle: 'New' }), { fresh: true });
+  assert.deepEqual(fresh, { value: { planTitle: 'New' }, cache: { status: 'bypass', ageSeconds: 0 } });
+  assert.equal((await cache.fetch('k', () => assert.fail('should be a hit'))).value.planTitle, 'New');
+  assert.equal(cache.stats().bypassed, 1);
+});
+
+test('a failed plan is not cached, and its waiters fail with it', async () => {
+  const cache = createCoalescingCache();
+  const produce = deferredProducer();
+
+  const first = cache.fetch('k', produce);
+  const second = cache.fetch('k', produce);
+  await sleep(0);
+  produce.reject(new Error('The model is down.'));
+  await assert.rejects(first, /model is down/);
+  await assert.rejects(second, /model is down/);
+
+  assert.equal(cache.stats().entries, 0);
+  const retry = await cache.fetch('k', () => ({ planTitle: 'Second try' }));
+  assert.equal(retry.cache.status, 'miss');
+});
+
+test('plans expire after the TTL and the least recently used go first', async () => {
+  const expiring = createCoalescingCache({ ttlMs: 20 });
+  await expiring.fetch('k', () => 1);
+  await sleep(40);
+  assert.equal((await expiring.fetch('k', () => 2)).cache.status, 'miss');
+
+  const small = createCoalescingCache({ maxEntries: 2 });
+  await small.fetch('a', () => 'a');
+  await small.fetch('b', () => 'b');
+  await small.fetch('a', () => assert.fail('should be a hit')); // now b is the oldest
+  await small.fetch('c', () => 'c');
+  assert.equal(small.stats().entries, 2);
+  assert.equal((await small.fetch('a', () => 'a again')).cache.status, 'hit');
+  assert.equal((await small.fetch('b', () => 'b again')).cache.status, 'miss');
+});
+
+test('createPlanCache reads its size and TTL from the environment; size 0 still coalesces', async () => {
+  const configured = createPlanCache({ PLAN_CACHE_SIZE: '50', PLAN_CACHE_TTL_MINUTES: '10' }).stats();
+  assert.deepEqual([configured.maxEntries, configured.ttlSeconds], [50, 600]);
+  const cache = createPlanCache({ PLAN_CACHE_SIZE: '0' });
+  const produce = deferredProducer('plan');
+  const waiting = [cache.fetch('k', produce), cache.fetch('k', produce)];
+  await sleep(0);
+  produce.resolve();
+  assert.deepEqual((await Promise.all(waiting)).map(result => result.cache.status), ['miss', 'coalesced']);
+  assert.equal(cache.stats().entries, 0);
+});
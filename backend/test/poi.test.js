@@ -0,0 +1,92 @@
+// Stop alternatives from the fixture venue list: the ranking on its own, then
+// through GET /api/stops/alternatives.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+Object.assign(process.env, {
+  LLM_PROVIDER: 'mock', GEOCODER: 'fixture', GEOCODE_CACHE_FILE: 'off', ROUTING_PROVIDER: 'haversine',
+  PLAN_STORE: 'memory', WEATHER_PROVIDER: 'fixture', POI_PROVIDER: 'fixture',
+});
+const app = require('../server');
+const { createFixturePoiProvider, createCachedPoiProvider, rankAlternatives, normalizeStopType } = require('../lib/poi');
+
+const CANDIES = { lat: 19.0636, lng: 72.831 };
+const names = (pois) => pois.map(poi => poi.name);
+
+let server;
+let baseUrl;
+before(() => new Promise(resolve => {
+  server = app.listen(0, () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    resolve();
+  });
+}));
+after(() => new Promise(resolve => server.close(resolve)));
+
+const getAlternatives = async (query) => {
+  const response = await fetch(`${baseUrl}/api/stops/alternatives?${new URLSearchParams(query)}`);
+  return { status: response.status, body: await response.json() };
+};
+
+test('the fixture provider only returns venues of the asked type within the radius', async () => {
+  const provider = createFixturePoiProvider();
+  const cafes = await provider.searchNearby({ ...CANDIES, type: 'Cafe', radiusMeters: 1000 });
+  assert.deepEqual(names(cafes).sort(), ['Birdsong Cafe', 'Candies', 'Hearsch Bakery', 'Salt Water Cafe']);
+  assert.deepEqual(names(await provider.searchNearby({ ...CANDIES, type: 'Park', radiusMeters: 500 })), []);
+});
+
+test('rankAlternatives weighs vibe fit against distance and leaves out excluded stops', async () => {
+  const bars = await createFixturePoiProvider().searchNearby({ ...CANDIES, type: 'Bar', radiusMeters: 3000 });
+
+  const romantic = rankAlternatives(bars, { center: CANDIES, radiusMeters: 3000, vibe: 'Romantic' });
+  // A wine bar 2 km away beats a pub round the corner on a romantic date
+  assert.deepEqual(names(romantic), ['Bonobo', 'Bayview Wine Bar', "Toto's Garage"]);
+  assert.deepEqual(romantic[1].vibeMatches, ['wine', 'wine_bar', 'lounge']);
+  assert.ok(romantic[1].distanceMeters > 2000);
+
+  // With no vibe it's distance alone
+  assert.deepEqual(names(rankAlternatives(bars, { center: CANDIES, radiusMeters: 3000 })), ['Bonobo', "Toto's Garage", 'Bayview Wine Bar']);
+  assert.deepEqual(names(rankAlternatives(bars, { center: CANDIES, radiusMeters: 3000, vibe: 'Romantic', exclude: ['bonobo'], limit: 1 })), ['Bayview Wine Bar']);
+});
+
+test('normalizeStopType accepts any case and common synonyms', () => {
+  assert.deepEqual(['cafe', 'BAR', 'museum', 'promenade', 'spaceship'].map(normalizeStopType), ['Cafe', 'Bar', 'Activity', 'Park', null]);
+});
+
+test('the cached provider fetches an area once and reports an outage as a 503', async () => {
+  let calls = 0;
+  const cached = createCachedPoiProvider({ name: 'counting', searchNearby: async () => { calls++; return []; } });
+  await cached.searchNearby({ ...CANDIES, type: 'Cafe', radiusMeters: 1000 });
+  await cached.searchNearby({ lat: 19.06361, lng: 72.83102, type: 'Cafe', radiusMeters: 1000 });
+  assert.equal(calls, 1);
+
+  const down = createCachedPoiProvider({ name: 'overpass', searchNearby: async () => { throw new Error('timeout'); } });
+  await assert.rejects(down.searchNearby({ ...CANDIES, type: 'Cafe', radiusMeters: 1000 }), { status: 503, message: /overpass venue search is unavailable \(timeout\)/ });
+});
+
+test('GET /api/stops/alternatives ranks nearby venues of the stop\'s type, minus the plan\'s own stops', async () => {
+  const { status, body } = await getAlternatives({ ...CANDIES, type: 'cafe', vibe: 'Romantic', exclude: 'Candies, Bonobo' });
+  assert.equal(status, 200);
+  assert.equal(body.provider, 'fixture');
+  assert.equal(body.type, 'Cafe');
+  assert.equal(body.radiusMeters, 1000);
+  assert.deepEqual(names(body.alternatives), ['Salt Water Cafe', 'Birdsong Cafe', 'Hearsch Bakery']);
+  assert.ok(body.alternatives.every(poi => poi.type === 'Cafe' && poi.distanceMeters <= 1000));
+});
+
+test('GET /api/stops/alternatives answers 400 for bad coordinates, radius or type', async () => {
+  for (const [query, message] of [
+    [{ lng: 72.831, type: 'Cafe' }, /"lat" is required/],
+    [{ lat: 'abc', lng: 72.831, type: 'Cafe' }, /"lat" is not in the expected format/],
+    [{ lat: 95, lng: 72.831, type: 'Cafe' }, /Invalid coordinates 95, 72.831/],
+    [{ ...CANDIES, type: 'Cafe', radius: 50 }, /"radius" must be from 100 to 5000 metres/],
+    [{ ...CANDIES, type: 'Cafe', radius: 9000 }, /"radius" must be from 100 to 5000 metres/],
+    [{ ...CANDIES, type: 'Spaceship' }, /Unknown stop type "Spaceship"/],
+  ]) {
+    const { status, body } = await getAlternatives(query);
+    assert.equal(status, 400, JSON.stringify(query));
+    assert.equal(body.error.code, 'invalid_request');
+    assert.match(body.error.message, message);
+  }
+});
@@ -0,0 +1,37 @@
+// Stop ordering: distance first, but not at the cost of a park in the dark or
+// a closed door.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { optimizeStopOrder } = require('../lib/routeOptimizer');
+
+const CANDIES = { name: 'Candies', lat: 19.0636, lng: 72.831, type: 'Cafe', duration: '1 hour' };
+const BONOBO = { name: 'Bonobo', lat: 19.0646, lng: 72.8337, type: 'Bar', duration: '2 hours' };
+const BANDSTAND = { name: 'Bandstand Promenade', lat: 19.0469, lng: 72.8199, type: 'Park', duration: '1 hour' };
+const names = (result) => result.stops.map(stop => stop.name);
+
+test('optimizeStopOrder takes the shortest route when nothing else is at stake', () => {
+  const result = optimizeStopOrder([CANDIES, BANDSTAND, BONOBO], { startTime: '16:00', date: '2026-10-24' });
+  assert.deepEqual(names(result), ['Candies', 'Bonobo', 'Bandstand Promenade']);
+  assert.equal(result.changed, true);
+  assert.ok(result.estimatedMetersAfter < result.estimatedMetersBefore);
+});
+
+test('optimizeStopOrder keeps an outdoor stop before sunset over a shorter route', () => {
+  const result = optimizeStopOrder([CANDIES, BANDSTAND, BONOBO], { startTime: '16:00', date: '2026-10-24', sunset: '18:10' });
+  assert.deepEqual(names(result), ['Candies', 'Bandstand Promenade', 'Bonobo']);
+  assert.equal(result.changed, false);
+  assert.equal(result.darkMinutes, 0);
+});
+
+test('optimizeStopOrder keeps stops within their opening hours over a shorter route', () => {
+  const lateBar = { ...BONOBO, openingHours: 'Mo-Su 18:00-01:30' };
+  const park = { ...BANDSTAND, duration: '2 hours' };
+  const result = optimizeStopOrder([CANDIES, lateBar, park], { startTime: '16:00', date: '2026-10-24' });
+  assert.deepEqual(names(result), ['Candies', 'Bandstand Promenade', 'Bonobo']);
+  assert.equal(result.hoursConflicts, 0);
+
+  // The shorter order has the bar at 17:00, before it opens
+  const unchanged = optimizeStopOrder([CANDIES, lateBar], { startTime: '16:00', date: '2026-10-24' });
+  assert.equal(unchanged.hoursConflicts, 1);
+});
@@ -0,0 +1,83 @@
+// Multi-day trips against the mock LLM and the fixture geocoder.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockProvider } = require('../lib/llm/mock');
+const { createFixtureProvider } = require('../lib/geocoding/fixture');
+const { checkTripDates, splitByDay, fillEmptyDays, orderAroundLodging } = require('../lib/trips');
+
+const BANDRA = { lat: 19.0596, lng: 72.8295 };
+const geocoder = createFixtureProvider();
+const lookupPlace = async (stop) => {
+  const match = await geocoder.findPlace(stop.name, { near: stop, radiusKm: 5 });
+  return match && { lat: match.lat, lng: match.lng, matchedBy: 'name', openingHours: match.openingHours };
+};
+
+const CANDIES = { name: 'Candies', description: 'Cafe.', address: 'Pali Hill', lat: 19.0636, lng: 72.831, type: 'Cafe', startTime: '11:00', duration: '1 hour' };
+const BONOBO = { name: 'Bonobo', description: 'Bar.', address: 'Linking Road', lat: 19.0646, lng: 72.8337, type: 'Bar', startTime: '20:00', duration: '1.5 hours' };
+const GAIETY = { name: 'Gaiety Galaxy', description: 'Cinema.', address: 'Bandra', lat: 19.0545, lng: 72.8409, type: 'Activity', startTime: '14:00', duration: '3 hours' };
+
+test('checkTripDates rejects past, reversed and overlong ranges', () => {
+  assert.equal(checkTripDates('2026-10-25', '2026-10-27', '2026-10-19'), null);
+  assert.match(checkTripDates('2026-10-18', '2026-10-20', '2026-10-19'), /already passed/);
+  assert.match(checkTripDates('2026-10-25', '2026-10-24', '2026-10-19'), /end on or after/);
+  assert.match(checkTripDates('2026-10-25', '2026-11-01', '2026-10-19'), /at most 7 days/);
+});
+
+test('splitByDay puts stops without a day on the emptiest day', () => {
+  const days = splitByDay([{ ...CANDIES, day: 1 }, { ...BONOBO, day: 1 }, { ...GAIETY }], [{ day: 2, fromStop: 1, toStop: 2 }, { fromStop: 1 }], 2);
+  assert.deepEqual(days.map(day => day.stops.map(stop => stop.name)), [['Candies', 'Bonobo'], ['Gaiety Galaxy']]);
+  assert.match(days[1].stops[0].validationNotes[0], /put on day 2/);
+  assert.deepEqual(days.map(day => day.travelLegs.length), [0, 1]);
+});
+
+test('fillEmptyDays asks again for the empty days and reports those still empty', async () => {
+  const llm = createMockProvider({
+    fixtures: {
+      responses: [{
+        name: 'empty-days',
+        match: 'have no stops yet',
+        functionCalls: [
+          { name: 'create_date_stop', args: { ...GAIETY, day: 2, stopNumber: 1 } },
+          { name: 'create_date_stop', args: { ...CANDIES, day: 2, stopNumber: 2 } }, // already on day 1
+          { name: 'create_travel_leg', args: { day: 2, fromStop: 1, toStop: 2 } },
+        ],
+      }],
+    },
+  });
+  const session = llm.createSession({ systemInstruction: 'trip' });
+  const days = [
+    { stops: [{ ...CANDIES, day: 1, stopNumber: 1 }], travelLegs: [] },
+    { stops: [], travelLegs: [] },
+    { stops: [], travelLegs: [] },
+  ];
+
+  const stillEmpty = await fillEmptyDays(days, { session, userMessage: 'Plan the trip.', center: BANDRA, lookupPlace });
+
+  assert.deepEqual(stillEmpty, [3]);
+  assert.deepEqual(days[1].stops.map(stop => stop.name), ['Gaiety Galaxy']);
+  assert.equal(days[1].travelLegs.length, 1);
+  assert.equal(llm.calls.length, 1);
+  assert.match(llm.calls[0].message, /no stops yet: day 2, day 3/);
+  assert.match(llm.calls[0].message, /Do not use any of these places, which other days already visit: Candies\./);
+});
+
+test('orderAroundLodging starts and ends the day at the stops nearest the lodging', () => {
+  const lodging = { name: 'Taj Lands End', lat: 19.0445, lng: 72.8197 };
+  const castella = { name: 'Castella de Aguada', lat: 19.0418, lng: 72.8185, type: 'Park', startTime: '10:00', duration: '45 minutes' };
+  const masalaBay = { name: 'Masala Bay', lat: 19.0443, lng: 72.8198, type: 'Food', startTime: '13:30', duration: '1.5 hours' };
+  const stops = [
+    { ...CANDIES, stopNumber: 1 },
+    { ...castella, stopNumber: 2 },
+    { ...GAIETY, stopNumber: 3 },
+    { ...masalaBay, stopNumber: 4 },
+  ];
+
+  const { stops: ordered, changed } = orderAroundLodging(stops, lodging, { startTime: '10:00' });
+
+  assert.equal(changed, true);
+  assert.deepEqual([ordered[0].name, ordered[3].name], ['Castella de Aguada', 'Masala Bay']);
+  assert.deepEqual(ordered.map(stop => stop.stopNumber), [1, 2, 3, 4]);
+  assert.match(ordered[0].validationNotes[0], /near your lodging/);
+  assert.deepEqual(orderAroundLodging(stops, null), { stops, changed: false });
+});
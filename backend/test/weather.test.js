@@ -0,0 +1,98 @@
+// Daylight and the forecast for the day of the outing, from the sunrise
+// equation and the fixture weather provider.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+Object.assign(process.env, {
+  LLM_PROVIDER: 'mock', GEOCODER: 'fixture', GEOCODE_CACHE_FILE: 'off', ROUTING_PROVIDER: 'haversine',
+  PLAN_STORE: 'memory', WEATHER_PROVIDER: 'fixture', POI_PROVIDER: 'fixture',
+});
+const app = require('../server');
+const { sunTimes } = require('../lib/sun');
+const { summarizeForecast, describeConditions, createWeatherProvider } = require('../lib/weather');
+
+const BANDRA = { lat: 19.0596, lng: 72.8295 };
+const IST = 330;
+
+let server;
+let baseUrl;
+before(() => new Promise(resolve => {
+  server = app.listen(0, () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    resolve();
+  });
+}));
+after(() => new Promise(resolve => server.close(resolve)));
+
+test('sunTimes matches published sunrise and sunset times to the minute', () => {
+  assert.deepEqual(sunTimes({ ...BANDRA, date: '2026-10-24', utcOffsetMinutes: IST }), { sunrise: '06:35', sunset: '18:09', polar: null });
+  // London at midsummer, on BST
+  assert.deepEqual(sunTimes({ lat: 51.5074, lng: -0.1278, date: '2026-06-21', utcOffsetMinutes: 60 }), { sunrise: '04:43', sunset: '21:21', polar: null });
+});
+
+test('sunTimes guesses the offset from the longitude when not given', () => {
+  // 72.83° E is UTC+4:51 by the sun, 39 minutes behind India's clocks
+  assert.deepEqual(sunTimes({ ...BANDRA, date: '2026-10-24' }), { sunrise: '05:56', sunset: '17:30', polar: null });
+});
+
+test('sunTimes reports polar night and midnight sun', () => {
+  const tromso = { lat: 69.6492, lng: 18.9553 };
+  assert.deepEqual(sunTimes({ ...tromso, date: '2026-12-21', utcOffsetMinutes: 60 }), { sunrise: null, sunset: null, polar: 'night' });
+  assert.deepEqual(sunTimes({ ...tromso, date: '2026-06-21', utcOffsetMinutes: 120 }), { sunrise: null, sunset: null, polar: 'day' });
+});
+
+test('summarizeForecast looks only at the hours of the outing', async () => {
+  const forecast = await createWeatherProvider({ WEATHER_PROVIDER: 'fixture' }).getForecast({ ...BANDRA, date: '2026-10-24' });
+  assert.equal(forecast.date, '2026-10-24');
+
+  assert.deepEqual(summarizeForecast(forecast, { startTime: '10:00', endTime: '14:00' }), {
+    summary: 'partly cloudy', temperatureMin: 27, temperatureMax: 29, precipitationProbability: 10, wet: false,
+  });
+  assert.deepEqual(summarizeForecast(forecast, { startTime: '18:00', endTime: '23:00' }), {
+    summary: 'rain', temperatureMin: 26, temperatureMax: 27, precipitationProbability: 80, wet: true,
+  });
+  // Without times, the whole day; past midnight, the hours left on the day
+  assert.equal(summarizeForecast(forecast).temperatureMin, 25);
+  assert.equal(summarizeForecast(forecast, { startTime: '23:00', endTime: '01:00' }).summary, 'light rain');
+});
+
+test('describeConditions puts the day, sunset and forecast into the prompt', () => {
+  const weather = { summary: 'rain', temperatureMin: 26, temperatureMax: 27, precipitationProbability: 80, wet: true };
+  assert.equal(
+    describeConditions({ date: '2026-10-24', sunset: '18:09', weather }),
+    'Saturday, 2026-10-24. Sunset is at 18:09; put scenic outdoor stops before it. '
+      + 'Forecast: rain, 26-27°C, 80% chance of rain. Bad weather is likely, so favour indoor places.',
+  );
+  const dry = { ...weather, summary: 'clear sky', precipitationProbability: 10, wet: false };
+  assert.equal(describeConditions({ date: '2026-10-25', sunset: null, weather: dry }), 'Sunday, 2026-10-25. Forecast: clear sky, 26-27°C, 10% chance of rain.');
+  assert.equal(describeConditions({ date: '2026-10-25', sunset: '18:08', weather: null }), 'Sunday, 2026-10-25. Sunset is at 18:08; put scenic outdoor stops before it.');
+});
+
+test('createWeatherProvider picks the provider from WEATHER_PROVIDER', async () => {
+  assert.equal(createWeatherProvider({}).name, 'open-meteo');
+  assert.equal(createWeatherProvider({ WEATHER_PROVIDER: 'Fixture' }).name, 'fixture');
+  const none = createWeatherProvider({ WEATHER_PROVIDER: 'none' });
+  assert.equal(none.name, 'none');
+  assert.equal(await none.getForecast({ ...BANDRA, date: '2026-10-24' }), null);
+  assert.throws(() => createWeatherProvider({ WEATHER_PROVIDER: 'almanac' }), /Unknown WEATHER_PROVIDER "almanac"/);
+});
+
+test('an Advanced Mode plan carries the daylight and forecast it was made for', async () => {
+  const date = new Date(Date.now() + 3 * 86400000).toISOString().slice(0, 10);
+  const response = await fetch(`${baseUrl}/api/generate-plan`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ location: BANDRA, dateVibe: 'Romantic', transportMode: 'Driving', startTime: '18:00', endTime: '23:00', date }),
+  });
+  assert.equal(response.status, 200);
+  const { conditions } = await response.json();
+
+  const { sunrise, sunset } = sunTimes({ ...BANDRA, date, utcOffsetMinutes: IST }); // the fixture forecast's offset
+  assert.deepEqual(conditions, {
+    date,
+    sunrise,
+    sunset,
+    weather: { provider: 'fixture', summary: 'rain', temperatureMin: 26, temperatureMax: 27, precipitationProbability: 80, wet: true },
+  });
+});